@@ -9,16 +9,210 @@ const ffmpeg = require('fluent-ffmpeg');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 const archiver = require('archiver');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const EventEmitter = require('events');
+const fetch = require('node-fetch');
+const FormData = require('form-data');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// ============================================
+// LOGGING
+// ============================================
+
+// Logs are written as one JSON object per line so a log pipeline can index them;
+// job and version logs carry jobId/versionKey fields to follow a single encode.
+// LOG_LEVEL: debug, info (default), warn or error
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+
+function writeLog(level, message, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+
+  const entry = { time: new Date().toISOString(), level, msg: message };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    entry[key] = value instanceof Error ? value.message : value;
+  }
+  const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+const log = {
+  debug: (message, fields) => writeLog('debug', message, fields),
+  info: (message, fields) => writeLog('info', message, fields),
+  warn: (message, fields) => writeLog('warn', message, fields),
+  error: (message, fields) => writeLog('error', message, fields)
+};
+
+// ============================================
+// METRICS
+// ============================================
+
+// Prometheus text exposition on GET /metrics. Counters and histograms are updated
+// as the pipeline runs; job, queue and disk gauges are computed at scrape time.
+// METRICS_TOKEN, when set, must be sent as a Bearer token to scrape.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+const DISK_USAGE_CACHE_MS = 60 * 1000;
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => 
+    `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function metricHeader(name, type, help) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+function createCounter(name, help) {
+  const values = new Map();
+
+  return {
+    inc: (labels = {}, amount = 1) => {
+      const key = formatLabels(labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    render: () => [
+      ...metricHeader(name, 'counter', help),
+      ...(values.size > 0 ? [...values].map(([labels, value]) => `${name}${labels} ${value}`) : [`${name} 0`])
+    ]
+  };
+}
+
+function createHistogram(name, help, buckets) {
+  const series = new Map();
+
+  return {
+    observe: (labels, value) => {
+      const key = formatLabels(labels);
+      if (!series.has(key)) {
+        series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    render: () => {
+      const lines = metricHeader(name, 'histogram', help);
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, i) => lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`));
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${Number(sum.toFixed(3))}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    }
+  };
+}
+
+const metrics = {
+  jobsFinished: createCounter('converter_jobs_finished_total', 'Jobs that reached a final status, by status'),
+  encodeDuration: createHistogram('converter_encode_duration_seconds', 'Wall-clock time from encode start to finished version, by preset',
+    [5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600]),
+  realtimeFactor: createHistogram('converter_realtime_factor', 'Seconds of output produced per second of encoding, by preset',
+    [0.1, 0.25, 0.5, 1, 2, 4, 8, 16]),
+  queueWait: createHistogram('converter_queue_wait_seconds', 'Time versions spend in the encode queue before starting',
+    [0.1, 1, 5, 15, 30, 60, 300, 900, 1800]),
+  inputBytes: createCounter('converter_input_bytes_total', 'Bytes of source media accepted for conversion'),
+  outputBytes: createCounter('converter_output_bytes_total', 'Bytes of encoded output written'),
+  ffmpegFailures: createCounter('converter_ffmpeg_failures_total', 'Failed version encodes, by error class')
+};
+
+// Rough grouping of ffmpeg error messages so failures can be alerted on by cause
+const FFMPEG_ERROR_CLASSES = [
+  ['signal', /killed with signal|SIGSEGV|SIGKILL|SIGABRT/i],
+  ['disk', /No space left|ENOSPC|Disk quota/i],
+  ['filter', /filter|Filtergraph|Invalid argument.*graph/i],
+  ['encoder', /encoder|Error while opening encoder|codec not currently supported/i],
+  ['input', /Invalid data found|moov atom not found|No such file|could not find codec parameters|No (audio|video) stream found|ffprobe/i]
+];
+
+function classifyFfmpegError(message) {
+  const match = FFMPEG_ERROR_CLASSES.find(([, pattern]) => pattern.test(message || ''));
+  return match ? match[0] : 'other';
+}
+
+// Recursive byte count of a directory, skipping anything that disappears mid-walk
+async function directorySize(dir) {
+  let total = 0;
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    return 0;
+  }
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await directorySize(entryPath);
+    } else {
+      try {
+        total += (await fs.promises.stat(entryPath)).size;
+      } catch (err) {
+        // Removed while walking
+      }
+    }
+  }
+  return total;
+}
+
+// Walking processed/ on every scrape would be costly, so sizes are cached briefly
+const diskUsageCache = { measuredAt: 0, sizes: null };
+
+async function measureDiskUsage() {
+  if (!diskUsageCache.sizes || Date.now() - diskUsageCache.measuredAt > DISK_USAGE_CACHE_MS) {
+    diskUsageCache.sizes = {
+      uploads: await directorySize('uploads'),
+      processed: await directorySize('processed')
+    };
+    diskUsageCache.measuredAt = Date.now();
+  }
+  return diskUsageCache.sizes;
+}
+
+async function renderMetrics() {
+  const jobsByStatus = {};
+  for (const job of jobs.values()) {
+    jobsByStatus[job.status] = (jobsByStatus[job.status] || 0) + 1;
+  }
+  const diskUsage = await measureDiskUsage();
+
+  const lines = [
+    ...metricHeader('converter_jobs', 'gauge', 'Jobs currently tracked, by status'),
+    ...Object.entries(jobsByStatus).map(([status, count]) => `converter_jobs${formatLabels({ status })} ${count}`),
+    ...metricHeader('converter_queue_pending', 'gauge', 'Versions waiting in the encode queue'),
+    `converter_queue_pending ${encodeQueue.pending.length}`,
+    ...metricHeader('converter_encodes_active', 'gauge', 'Versions currently encoding'),
+    `converter_encodes_active ${encodeQueue.active.size}`,
+    ...metricHeader('converter_disk_usage_bytes', 'gauge', 'Bytes used by working directories'),
+    ...Object.entries(diskUsage).map(([directory, bytes]) => `converter_disk_usage_bytes${formatLabels({ directory })} ${bytes}`)
+  ];
+  for (const metric of Object.values(metrics)) {
+    lines.push(...metric.render());
+  }
+  return `${lines.join('\n')}\n`;
+}
+
 // ============================================
 // MIDDLEWARE
 // ============================================
 
-app.use(cors());
+// CORS_ORIGINS: comma-separated origins allowed to call the API; "*" (default) allows any
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean);
+
+app.use(cors({
+  origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
+  exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Retry-After', 'Upload-Offset', 'Location', 'Content-Disposition']
+}));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -26,8 +220,12 @@ app.use(express.urlencoded({ extended: true }));
 // STORAGE CONFIGURATION
 // ============================================
 
+const DATA_DIR = process.env.DATA_DIR || 'data';
+const MAX_UPLOAD_SIZE_MB = parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 500;
+const MAX_UPLOAD_SIZE = MAX_UPLOAD_SIZE_MB * 1024 * 1024;
+
 // Ensure directories exist
-const dirs = ['uploads', 'processed/videos', 'processed/images', 'processed/audio'];
+const dirs = ['uploads', 'uploads/partial', 'processed/videos', 'processed/images', 'processed/audio', 'processed/streams', 'processed/analysis', DATA_DIR];
 dirs.forEach(dir => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
@@ -40,29 +238,439 @@ const storage = multer.diskStorage({
     cb(null, 'uploads/');
   },
   filename: (req, file, cb) => {
-    const uniqueName = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}${path.extname(file.originalname)}`;
+    const uniqueName = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}${path.extname(file.originalname).toLowerCase()}`;
     cb(null, uniqueName);
   }
 });
 
 const upload = multer({
   storage: storage,
-  limits: { fileSize: 500 * 1024 * 1024 }, // 500MB limit
+  limits: { fileSize: MAX_UPLOAD_SIZE },
   fileFilter: (req, file, cb) => {
+    if (file.fieldname === 'watermark') {
+      return ['image/png', 'image/jpeg', 'image/webp'].includes(file.mimetype)
+        ? cb(null, true)
+        : cb(new Error('Watermark must be a PNG, JPEG or WebP image'));
+    }
+    // Subtitle mime types vary by client, so go by extension
+    if (file.fieldname === 'subtitles') {
+      return ['.srt', '.vtt'].includes(path.extname(file.originalname).toLowerCase())
+        ? cb(null, true)
+        : cb(new Error('Subtitles must be an .srt or .vtt file'));
+    }
+
     const allowedTypes = ['video/mp4', 'video/quicktime', 'video/x-msvideo', 'video/x-matroska', 'video/webm'];
-    if (file.mimetype.startsWith('video/') || allowedTypes.includes(file.mimetype)) {
+    // Audio files are accepted as audio-mode sources and as replacement tracks
+    if (file.mimetype.startsWith('video/') || file.mimetype.startsWith('audio/') || allowedTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Only video files are allowed'));
+      cb(new Error('Only video or audio files are allowed'));
     }
   }
 });
 
+// The source file plus an optional music track for audio.track replace/mix,
+// intro/outro clips joined around every version and overlay assets
+const convertUpload = upload.fields([
+  { name: 'video', maxCount: 1 },
+  { name: 'audioTrack', maxCount: 1 },
+  { name: 'intro', maxCount: 1 },
+  { name: 'outro', maxCount: 1 },
+  { name: 'watermark', maxCount: 1 },
+  { name: 'subtitles', maxCount: 1 }
+]);
+
 // ============================================
 // JOB TRACKING
 // ============================================
 
-const jobs = new Map();
+// JOB_STORE=memory keeps jobs in process only; JOB_STORE=file (default) writes
+// one JSON file per job under DATA_DIR/jobs so jobs survive restarts
+const JOB_STORE = process.env.JOB_STORE || 'file';
+// JOB_RECOVERY=requeue re-runs versions that were mid-encode at shutdown,
+// anything else marks them as interrupted
+const JOB_RECOVERY = process.env.JOB_RECOVERY || 'interrupt';
+
+function createMemoryStore() {
+  const map = new Map();
+
+  return {
+    get: (id) => map.get(id),
+    has: (id) => map.has(id),
+    set: (id, record) => map.set(id, record),
+    delete: (id) => map.delete(id),
+    entries: () => map.entries(),
+    values: () => map.values(),
+    persist: () => {},
+    load: () => {}
+  };
+}
+
+function createFileStore(dir) {
+  const memory = createMemoryStore();
+  const recordFile = (id) => path.join(dir, `${id}.json`);
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  const write = (id, record) => {
+    try {
+      const tmpPath = `${recordFile(id)}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(record));
+      fs.renameSync(tmpPath, recordFile(id));
+    } catch (err) {
+      log.error('Failed to persist record', { id, error: err });
+    }
+  };
+
+  return {
+    ...memory,
+    set: (id, record) => {
+      memory.set(id, record);
+      write(id, record);
+    },
+    delete: (id) => {
+      memory.delete(id);
+      try {
+        if (fs.existsSync(recordFile(id))) {
+          fs.unlinkSync(recordFile(id));
+        }
+      } catch (err) {
+        log.error('Failed to delete record', { id, error: err });
+      }
+    },
+    // Records are mutated in place, so callers persist after each state change
+    persist: (id) => {
+      const record = memory.get(id);
+      if (record) write(id, record);
+    },
+    load: () => {
+      for (const file of fs.readdirSync(dir)) {
+        if (!file.endsWith('.json')) continue;
+        try {
+          const record = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+          memory.set(path.basename(file, '.json'), record);
+        } catch (err) {
+          log.error('Failed to load record', { file, error: err });
+        }
+      }
+    }
+  };
+}
+
+// Stores for jobs and other records that should survive restarts, keyed by id
+function createStore(type, name) {
+  if (type === 'memory') return createMemoryStore();
+  if (type === 'file') return createFileStore(path.join(DATA_DIR, name));
+  throw new Error(`Unknown JOB_STORE "${type}". Use "memory" or "file".`);
+}
+
+const jobs = createStore(JOB_STORE, 'jobs');
+jobs.load();
+
+// ============================================
+// CHUNKED UPLOADS
+// ============================================
+
+// Resumable uploads: POST /api/uploads to start, PATCH chunks at the current
+// Upload-Offset, POST /api/uploads/:uploadId/complete to assemble into uploads/
+const UPLOAD_SESSION_TTL = 24 * 60 * 60 * 1000; // Unfinished sessions expire after a day
+
+const uploadSessions = createStore(JOB_STORE, 'uploads');
+uploadSessions.load();
+
+function partialUploadPath(uploadId) {
+  return path.join('uploads', 'partial', `${uploadId}.part`);
+}
+
+function removeUploadSession(uploadId) {
+  const session = uploadSessions.get(uploadId);
+  for (const filePath of [partialUploadPath(uploadId), session && session.path]) {
+    try {
+      if (filePath && fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    } catch (err) {
+      log.error('Upload cleanup failed', { uploadId, error: err });
+    }
+  }
+  uploadSessions.delete(uploadId);
+}
+
+// The job owns the assembled file from here on and removes it when it finishes
+function consumeUpload(uploadId) {
+  if (uploadId) {
+    uploadSessions.delete(uploadId);
+  }
+}
+
+// ============================================
+// SOURCES
+// ============================================
+
+// sourceUrl downloads are only allowed from these hosts; a leading dot allows subdomains
+const SOURCE_URL_ALLOWED_HOSTS = parseHostList(process.env.SOURCE_URL_ALLOWED_HOSTS);
+const SOURCE_URL_TIMEOUT = parseInt(process.env.SOURCE_URL_TIMEOUT_MS) || 5 * 60 * 1000;
+const SOURCE_URL_MAX_REDIRECTS = 5;
+
+function uniqueUploadPath(extension) {
+  return path.join('uploads', `${Date.now()}-${Math.random().toString(36).substr(2, 9)}${extension}`);
+}
+
+// Comma-separated host allowlist from the environment
+function parseHostList(value) {
+  return (value || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+function isAllowedHost(hostname, allowedHosts) {
+  const host = hostname.toLowerCase();
+  return allowedHosts.some(allowed => 
+    allowed.startsWith('.') ? host.endsWith(allowed) || host === allowed.slice(1) : host === allowed
+  );
+}
+
+function sourceError(status, error) {
+  return Object.assign(new Error(error), { status });
+}
+
+// Name of the file at the end of the URL; malformed escapes such as %E0 keep the raw name
+function sourceFilename(url) {
+  const basename = path.basename(new URL(url).pathname);
+  try {
+    return decodeURIComponent(basename) || 'source.mp4';
+  } catch (err) {
+    return basename;
+  }
+}
+
+// Stream a remote video into uploads/, enforcing the allowlist on every redirect,
+// the upload size limit and an overall timeout
+async function downloadSourceUrl(sourceUrl, maxSize = MAX_UPLOAD_SIZE) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), SOURCE_URL_TIMEOUT);
+  let url = sourceUrl;
+  let response;
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (err) {
+        throw sourceError(400, 'sourceUrl must be a valid URL');
+      }
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw sourceError(400, 'sourceUrl must use http or https');
+      }
+      if (!isAllowedHost(parsed.hostname, SOURCE_URL_ALLOWED_HOSTS)) {
+        throw sourceError(403, `Host ${parsed.hostname} is not in the source URL allowlist`);
+      }
+
+      response = await fetch(url, { redirect: 'manual', signal: controller.signal });
+
+      if (response.status < 300 || response.status >= 400) break;
+      if (redirects >= SOURCE_URL_MAX_REDIRECTS || !response.headers.get('location')) {
+        throw sourceError(502, 'Too many redirects fetching sourceUrl');
+      }
+      url = new URL(response.headers.get('location'), url).toString();
+    }
+
+    if (!response.ok) {
+      throw sourceError(502, `Fetching sourceUrl failed with HTTP ${response.status}`);
+    }
+
+    const contentType = (response.headers.get('content-type') || '').split(';')[0].trim();
+    if (contentType && !contentType.startsWith('video/') && !contentType.startsWith('audio/') && contentType !== 'application/octet-stream') {
+      throw sourceError(415, `sourceUrl returned ${contentType}; only video or audio files are allowed`);
+    }
+
+    const declaredLength = parseInt(response.headers.get('content-length'));
+    if (declaredLength > maxSize) {
+      throw sourceError(413, `File too large. Maximum size is ${Math.floor(maxSize / 1024 / 1024)}MB.`);
+    }
+
+    const originalFilename = sourceFilename(url);
+    const inputPath = uniqueUploadPath(path.extname(originalFilename));
+
+    await new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(inputPath);
+      let received = 0;
+      let failed = false;
+
+      const fail = (err) => {
+        if (failed) return;
+        failed = true;
+        response.body.destroy();
+        output.destroy();
+        fs.unlink(inputPath, () => reject(err));
+      };
+
+      response.body.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > maxSize) {
+          fail(sourceError(413, `File too large. Maximum size is ${Math.floor(maxSize / 1024 / 1024)}MB.`));
+        }
+      });
+      response.body.on('error', (err) => fail(err.name === 'AbortError' 
+        ? sourceError(504, 'Timed out fetching sourceUrl') 
+        : sourceError(502, `Fetching sourceUrl failed: ${err.message}`)));
+      output.on('error', fail);
+      output.on('finish', resolve);
+      response.body.pipe(output);
+    });
+
+    log.info('Downloaded source', { host: new URL(url).hostname });
+    return { inputPath, originalFilename };
+  } catch (err) {
+    if (err.name === 'AbortError') throw sourceError(504, 'Timed out fetching sourceUrl');
+    if (!err.status) throw sourceError(502, `Fetching sourceUrl failed: ${err.message}`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Copy a completed output of an earlier job so the new job owns its source
+async function copyJobOutputSource(sourceJobId, versionKey) {
+  const sourceJob = jobs.get(sourceJobId);
+  const version = sourceJob && sourceJob.versions[versionKey];
+
+  if (!version) {
+    throw sourceError(404, 'Source version not found');
+  }
+  if (version.status !== 'completed') {
+    throw sourceError(409, 'Source version is not completed');
+  }
+
+  const filePath = versionFilePath(sourceJob, version);
+  if (!fs.existsSync(filePath)) {
+    throw sourceError(410, 'Source version file is no longer available');
+  }
+
+  const inputPath = uniqueUploadPath(path.extname(version.filename));
+  await fs.promises.copyFile(filePath, inputPath);
+
+  return {
+    inputPath,
+    originalFilename: `${path.parse(sourceJob.originalFilename).name}_${versionKey}${path.extname(version.filename)}`
+  };
+}
+
+// A completed resumable upload of the calling key
+function resolveUploadSource(req, uploadId) {
+  const session = uploadSessions.get(uploadId);
+  if (!session || !canAccess(req, session)) {
+    return { status: 404, error: 'Upload not found' };
+  }
+  if (session.status !== 'completed') {
+    return { status: 409, error: 'Upload is not complete' };
+  }
+  return { inputPath: session.path, originalFilename: session.filename, uploadId };
+}
+
+// Resolve the source for a convert request: a multipart `video` file, a completed
+// `uploadId`, a `sourceUrl`, or `sourceJobId` + `versionKey` of an earlier job
+async function resolveSource(req) {
+  const file = req.file || (req.files && req.files.video && req.files.video[0]);
+  if (file) {
+    // Bodies sent without Content-Length are only checked once received
+    if (file.size > uploadLimit(req)) {
+      return { status: 413, error: `File too large. Maximum size is ${Math.floor(uploadLimit(req) / 1024 / 1024)}MB.` };
+    }
+    return { inputPath: file.path, originalFilename: file.originalname };
+  }
+
+  const { uploadId, sourceUrl, sourceJobId, versionKey } = req.body;
+
+  if (uploadId) {
+    return resolveUploadSource(req, uploadId);
+  }
+
+  try {
+    if (sourceUrl) {
+      if (SOURCE_URL_ALLOWED_HOSTS.length === 0) {
+        return { status: 403, error: 'sourceUrl is not enabled on this server' };
+      }
+      return await downloadSourceUrl(sourceUrl, uploadLimit(req));
+    }
+    if (sourceJobId) {
+      if (!versionKey) {
+        return { status: 400, error: 'versionKey is required with sourceJobId' };
+      }
+      const sourceJob = jobs.get(sourceJobId);
+      if (sourceJob && !canAccess(req, sourceJob)) {
+        return { status: 404, error: 'Source version not found' };
+      }
+      return await copyJobOutputSource(sourceJobId, versionKey);
+    }
+  } catch (err) {
+    return { status: err.status || 500, error: err.message };
+  }
+
+  return { status: 400, error: 'No video file uploaded' };
+}
+
+// ============================================
+// ENCODE QUEUE
+// ============================================
+
+// Every version encode goes through this queue so the number of concurrent
+// ffmpeg processes stays bounded no matter how many jobs are submitted
+const MAX_CONCURRENT_ENCODES = parseInt(process.env.MAX_CONCURRENT_ENCODES) || 2;
+// QUEUE_ORDERING=priority runs higher job priorities first; ties stay FIFO
+const QUEUE_ORDERING = process.env.QUEUE_ORDERING === 'priority' ? 'priority' : 'fifo';
+
+const encodeQueue = {
+  pending: [],
+  active: new Map(),
+  sequence: 0
+};
+
+// Running ffmpeg commands by `${jobId}:${versionKey}` so they can be killed on cancel
+const activeCommands = new Map();
+
+function enqueueEncode(jobId, versionKey, priority, run) {
+  return new Promise((resolve, reject) => {
+    encodeQueue.pending.push({
+      jobId,
+      versionKey,
+      priority: QUEUE_ORDERING === 'priority' ? priority : 0,
+      sequence: encodeQueue.sequence++,
+      enqueuedAt: Date.now(),
+      run,
+      resolve,
+      reject
+    });
+    encodeQueue.pending.sort((a, b) => (b.priority - a.priority) || (a.sequence - b.sequence));
+    drainEncodeQueue();
+  });
+}
+
+function drainEncodeQueue() {
+  while (encodeQueue.active.size < MAX_CONCURRENT_ENCODES && encodeQueue.pending.length > 0) {
+    const task = encodeQueue.pending.shift();
+    const taskKey = `${task.jobId}:${task.versionKey}`;
+
+    task.startedAt = Date.now();
+    encodeQueue.active.set(taskKey, task);
+    metrics.queueWait.observe({}, (task.startedAt - task.enqueuedAt) / 1000);
+
+    Promise.resolve()
+      .then(task.run)
+      .then(task.resolve, task.reject)
+      .finally(() => {
+        encodeQueue.active.delete(taskKey);
+        drainEncodeQueue();
+      });
+  }
+}
+
+// 1-based position among waiting encodes, or null once it has started
+function getQueuePosition(jobId, versionKey) {
+  const index = encodeQueue.pending.findIndex(task => 
+    task.jobId === jobId && task.versionKey === versionKey
+  );
+  return index === -1 ? null : index + 1;
+}
 
 // ============================================
 // VERSION PRESETS
@@ -127,526 +735,5589 @@ const VERSION_PRESETS = {
 };
 
 // ============================================
-// ROUTES
+// OUTPUT PROFILES
 // ============================================
 
-// Health check
-app.get('/', (req, res) => {
-  res.json({ 
-    status: 'online', 
-    service: 'Multi-Version Video Converter API',
-    version: '2.0.0',
-    endpoints: {
-      convert: '/api/convert',
-      convertMulti: '/api/convert-multi',
-      status: '/api/job/:jobId',
-      download: '/api/download/:jobId/:versionKey',
-      downloadAll: '/api/download-all/:jobId'
-    }
-  });
-});
+// Target frame geometry; `source` keeps the (cropped) source dimensions
+const OUTPUT_PROFILES = {
+  landscape: { width: 1920, height: 1080, description: '16:9 landscape' },
+  vertical: { width: 1080, height: 1920, description: '9:16 vertical for Reels/TikTok/Shorts' },
+  square: { width: 1080, height: 1080, description: '1:1 square' },
+  source: { description: 'Keep source geometry' }
+};
 
-// Legacy single conversion endpoint (for backward compatibility)
-app.post('/api/convert', upload.single('video'), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No video file uploaded' });
-  }
+// How the source is fitted into a profile with a different aspect ratio
+const FIT_MODES = ['crop', 'pad-blur', 'letterbox'];
 
-  const jobId = `single_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  const inputPath = req.file.path;
-  
-  jobs.set(jobId, {
-    status: 'processing',
-    versionCount: 1,
-    versions: {
-      version1: { status: 'pending', progress: 0 }
-    },
-    startTime: Date.now(),
-    originalFilename: req.file.originalname
-  });
+const DEFAULT_OUTPUT_PROFILE = { name: 'landscape', fit: 'crop' };
 
-  res.json({ 
-    jobId, 
-    message: 'Processing started',
-    versionCount: 1,
-    estimatedTime: '1-2 minutes'
-  });
+// Returns { outputProfile } or { error } from outputProfile/fit request fields
+function parseOutputProfile(body) {
+  const name = body.outputProfile || DEFAULT_OUTPUT_PROFILE.name;
+  const fit = body.fit || DEFAULT_OUTPUT_PROFILE.fit;
 
-  processMultipleVersions(inputPath, jobId, ['version1']);
-});
+  if (!Object.prototype.hasOwnProperty.call(OUTPUT_PROFILES, name)) {
+    return { error: `outputProfile must be one of: ${Object.keys(OUTPUT_PROFILES).join(', ')}` };
+  }
+  if (!FIT_MODES.includes(fit)) {
+    return { error: `fit must be one of: ${FIT_MODES.join(', ')}` };
+  }
+  return { outputProfile: { name, fit } };
+}
 
-// Multi-version conversion endpoint
-app.post('/api/convert-multi', upload.single('video'), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No video file uploaded' });
+// yuv420p needs even dimensions
+function evenDimension(value) {
+  return Math.max(2, Math.round(value / 2) * 2);
+}
+
+// Build the crop/scale part of the video filter chain. The preset's cropPercent
+// zoom is applied first, then the result is fitted into the profile's frame.
+function buildGeometryFilter(width, height, cropPercent, outputProfile) {
+  const filters = [];
+  let sourceW = width;
+  let sourceH = height;
+
+  if (cropPercent > 0) {
+    sourceW = Math.floor(width * (1 - cropPercent / 100));
+    sourceH = Math.floor(height * (1 - cropPercent / 100));
+    const cropX = Math.floor((width - sourceW) / 2);
+    const cropY = Math.floor((height - sourceH) / 2);
+    filters.push(`crop=${sourceW}:${sourceH}:${cropX}:${cropY}`);
   }
 
-  // Get number of versions from request body (default to 1)
-  const versionCount = parseInt(req.body.versionCount) || 1;
-  
-  if (versionCount < 1 || versionCount > 5) {
-    return res.status(400).json({ 
-      error: 'Invalid version count. Must be between 1 and 5.' 
-    });
+  const profile = OUTPUT_PROFILES[outputProfile.name];
+
+  if (!profile.width) {
+    const outW = evenDimension(sourceW);
+    const outH = evenDimension(sourceH);
+    filters.push(`scale=${outW}:${outH}`);
+    return { filter: filters.join(','), width: outW, height: outH };
   }
 
-  const jobId = `multi_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-  const inputPath = req.file.path;
-  
-  // Initialize job tracking based on version count
-  const versionsToProcess = {};
-  const versionKeys = Object.keys(VERSION_PRESETS).slice(0, versionCount);
-  
-  versionKeys.forEach(key => {
-    versionsToProcess[key] = { 
-      status: 'pending', 
-      progress: 0 
-    };
-  });
+  const outW = profile.width;
+  const outH = profile.height;
 
-  jobs.set(jobId, {
-    status: 'processing',
-    versionCount,
+  // Dimensions that cover the whole frame (for cropping) or fit inside it (for padding)
+  const coverScale = Math.max(outW / sourceW, outH / sourceH);
+  const fitScale = Math.min(outW / sourceW, outH / sourceH);
+  const coverW = Math.max(outW, evenDimension(sourceW * coverScale));
+  const coverH = Math.max(outH, evenDimension(sourceH * coverScale));
+  const fitW = Math.min(outW, evenDimension(sourceW * fitScale));
+  const fitH = Math.min(outH, evenDimension(sourceH * fitScale));
+
+  if (outputProfile.fit === 'letterbox') {
+    filters.push(`scale=${fitW}:${fitH}`, `pad=${outW}:${outH}:(ow-iw)/2:(oh-ih)/2:black`);
+  } else if (outputProfile.fit === 'pad-blur') {
+    // Blurred cover-scaled copy behind the fitted frame
+    filters.push('split=2[bg][fg];' +
+      `[bg]scale=${coverW}:${coverH},crop=${outW}:${outH},boxblur=20:5[bgblur];` +
+      `[fg]scale=${fitW}:${fitH}[fgfit];` +
+      `[bgblur][fgfit]overlay=(W-w)/2:(H-h)/2`);
+  } else {
+    filters.push(`scale=${coverW}:${coverH}`, `crop=${outW}:${outH}`);
+  }
+
+  filters.push('setsar=1');
+  return { filter: filters.join(','), width: outW, height: outH };
+}
+
+// ============================================
+// ENCODING PROFILES
+// ============================================
+
+const VIDEO_CODECS = {
+  h264: { encoder: 'libx264', crfMax: 51 },
+  h265: { encoder: 'libx265', crfMax: 51 },
+  vp9: { encoder: 'libvpx-vp9', crfMax: 63 },
+  av1: { encoder: 'libaom-av1', crfMax: 63 }
+};
+
+const AUDIO_CODECS = {
+  aac: { encoder: 'aac' },
+  opus: { encoder: 'libopus' },
+  mp3: { encoder: 'libmp3lame' }
+};
+
+const CONTAINERS = {
+  mp4: { extension: '.mp4', format: 'mp4', contentType: 'video/mp4', videoCodecs: ['h264', 'h265', 'av1'], audioCodecs: ['aac', 'mp3'] },
+  webm: { extension: '.webm', format: 'webm', contentType: 'video/webm', videoCodecs: ['vp9', 'av1'], audioCodecs: ['opus'] },
+  mkv: { extension: '.mkv', format: 'matroska', contentType: 'video/x-matroska', videoCodecs: Object.keys(VIDEO_CODECS), audioCodecs: Object.keys(AUDIO_CODECS) }
+};
+
+const ENCODING_MODES = ['crf', 'bitrate', 'size'];
+const X26X_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+const H264_LEVELS = ['3.0', '3.1', '4.0', '4.1', '4.2', '5.0', '5.1', '5.2'];
+
+// crf: constant quality (capped by maxBitrate), bitrate: single-pass average
+// bitrate, size: two-pass encode to hit targetSizeMB. `level` only applies to h264.
+const DEFAULT_ENCODING = {
+  videoCodec: 'h264',
+  container: 'mp4',
+  mode: 'crf',
+  crf: 18,
+  maxBitrate: 10000,
+  preset: 'slow',
+  level: '4.0',
+  audioCodec: 'aac',
+  audioBitrate: 192
+};
+
+const ENCODING_FIELDS = ['videoCodec', 'container', 'mode', 'crf', 'maxBitrate', 'videoBitrate', 'targetSizeMB', 'preset', 'level', 'audioCodec', 'audioBitrate'];
+
+function validateEncodingFields(input, fieldPrefix) {
+  const errors = [];
+  const field = (name) => `${fieldPrefix}.${name}`;
+  const checkInteger = (name, min, max) => {
+    if (input[name] !== undefined && (!Number.isInteger(input[name]) || input[name] < min || input[name] > max)) {
+      errors.push({ field: field(name), message: `Must be an integer between ${min} and ${max}` });
+    }
+  };
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return [{ field: fieldPrefix, message: 'Must be an object' }];
+  }
+
+  for (const key of Object.keys(input)) {
+    if (!ENCODING_FIELDS.includes(key)) {
+      errors.push({ field: field(key), message: 'Unknown encoding field' });
+    }
+  }
+
+  const enums = {
+    videoCodec: Object.keys(VIDEO_CODECS),
+    container: Object.keys(CONTAINERS),
+    mode: ENCODING_MODES,
+    preset: X26X_PRESETS,
+    level: H264_LEVELS,
+    audioCodec: Object.keys(AUDIO_CODECS)
+  };
+  for (const [name, values] of Object.entries(enums)) {
+    if (input[name] !== undefined && !values.includes(input[name])) {
+      errors.push({ field: field(name), message: `Must be one of: ${values.join(', ')}` });
+    }
+  }
+
+  checkInteger('crf', 0, 63);
+  checkInteger('maxBitrate', 100, 100000);
+  checkInteger('videoBitrate', 100, 100000);
+  checkInteger('audioBitrate', 32, 512);
+  if (input.targetSizeMB !== undefined && (typeof input.targetSizeMB !== 'number' || input.targetSizeMB <= 0 || input.targetSizeMB > 10000)) {
+    errors.push({ field: field('targetSizeMB'), message: 'Must be a number between 0 and 10000' });
+  }
+
+  return errors;
+}
+
+// Merge defaults, the preset's encoding and the request's encoding (request wins),
+// then check the combination. Returns { encoding } or { errors }.
+function resolveEncoding(presetEncoding, requestEncoding, fieldPrefix) {
+  const encoding = { ...DEFAULT_ENCODING, ...(presetEncoding || {}), ...(requestEncoding || {}) };
+  const errors = [];
+  const container = CONTAINERS[encoding.container];
+
+  if (!container.videoCodecs.includes(encoding.videoCodec)) {
+    errors.push({ field: `${fieldPrefix}.videoCodec`, message: `${encoding.container} supports: ${container.videoCodecs.join(', ')}` });
+  }
+  if (!container.audioCodecs.includes(encoding.audioCodec)) {
+    errors.push({ field: `${fieldPrefix}.audioCodec`, message: `${encoding.container} supports: ${container.audioCodecs.join(', ')}` });
+  }
+  if (encoding.crf > VIDEO_CODECS[encoding.videoCodec].crfMax) {
+    errors.push({ field: `${fieldPrefix}.crf`, message: `Must be at most ${VIDEO_CODECS[encoding.videoCodec].crfMax} for ${encoding.videoCodec}` });
+  }
+  if (encoding.mode === 'bitrate' && !encoding.videoBitrate) {
+    errors.push({ field: `${fieldPrefix}.videoBitrate`, message: 'Required when mode is "bitrate"' });
+  }
+  if (encoding.mode === 'size' && !encoding.targetSizeMB) {
+    errors.push({ field: `${fieldPrefix}.targetSizeMB`, message: 'Required when mode is "size"' });
+  }
+
+  return errors.length > 0 ? { errors } : { encoding };
+}
+
+// Multipart bodies carry the encoding object as a JSON string
+function parseEncodingOption(value) {
+  if (value === undefined || value === '') return {};
+  let encoding = value;
+  if (typeof value === 'string') {
+    try {
+      encoding = JSON.parse(value);
+    } catch (err) {
+      return { errors: [{ field: 'encoding', message: 'Must be valid JSON' }] };
+    }
+  }
+  const errors = validateEncodingFields(encoding, 'encoding');
+  return errors.length > 0 ? { errors } : { encoding };
+}
+
+// Video bitrate (kbps, as ffmpeg's "k" means 1000) that makes the whole file
+// land on targetSizeMB
+function bitrateForTargetSize(encoding, durationSeconds) {
+  const totalKbits = encoding.targetSizeMB * 8 * 1024 * 1024 / 1000;
+  return Math.max(100, Math.floor(totalKbits / durationSeconds - encoding.audioBitrate));
+}
+
+// Codec, rate control and muxer options; `pass` is 1 or 2 for two-pass encodes
+function buildEncodingOptions(encoding, { videoBitrate, pass, passLogFile } = {}) {
+  const options = ['-c:v', VIDEO_CODECS[encoding.videoCodec].encoder, '-pix_fmt', 'yuv420p'];
+  const targetBitrate = encoding.mode === 'crf' ? null : videoBitrate || encoding.videoBitrate;
+
+  if (encoding.videoCodec === 'h264') {
+    options.push('-preset', encoding.preset, '-profile:v', 'high', '-level', encoding.level);
+  } else if (encoding.videoCodec === 'h265') {
+    options.push('-preset', encoding.preset);
+    if (encoding.container === 'mp4') options.push('-tag:v', 'hvc1');
+  } else if (encoding.videoCodec === 'vp9') {
+    options.push('-deadline', 'good', '-cpu-used', '2', '-row-mt', '1');
+  } else {
+    options.push('-cpu-used', '6', '-row-mt', '1');
+  }
+
+  if (targetBitrate) {
+    options.push('-b:v', `${targetBitrate}k`, '-maxrate', `${Math.round(targetBitrate * 1.5)}k`, '-bufsize', `${targetBitrate * 2}k`);
+  } else {
+    options.push('-crf', String(encoding.crf));
+    if (encoding.videoCodec === 'vp9' || encoding.videoCodec === 'av1') {
+      // Constant quality for libvpx/libaom needs an unconstrained bitrate
+      options.push('-b:v', '0');
+    } else if (encoding.maxBitrate) {
+      options.push('-maxrate', `${encoding.maxBitrate}k`, '-bufsize', `${Math.round(encoding.maxBitrate * 1.6)}k`);
+    }
+  }
+
+  if (pass) {
+    if (encoding.videoCodec === 'h265') {
+      options.push('-x265-params', `pass=${pass}:stats=${passLogFile}.log`);
+    } else {
+      options.push('-pass', String(pass), '-passlogfile', passLogFile);
+    }
+  }
+
+  // The first pass only gathers statistics
+  if (pass === 1) {
+    options.push('-an', '-f', 'null');
+    return options;
+  }
+
+  options.push(
+    '-c:a', AUDIO_CODECS[encoding.audioCodec].encoder,
+    '-b:a', `${encoding.audioBitrate}k`,
+    '-ar', '48000',
+    '-ac', '2',
+    '-f', CONTAINERS[encoding.container].format
+  );
+  if (encoding.container === 'mp4') {
+    options.push('-movflags', '+faststart');
+  }
+
+  return options;
+}
+
+// ============================================
+// AUDIO
+// ============================================
+
+// Output formats for mode=audio jobs, written to processed/audio
+const AUDIO_FORMATS = {
+  mp3: { extension: '.mp3', format: 'mp3', contentType: 'audio/mpeg', encoder: 'libmp3lame' },
+  aac: { extension: '.m4a', format: 'ipod', contentType: 'audio/mp4', encoder: 'aac' },
+  opus: { extension: '.opus', format: 'opus', contentType: 'audio/ogg', encoder: 'libopus' },
+  wav: { extension: '.wav', format: 'wav', contentType: 'audio/wav', encoder: 'pcm_s16le', lossless: true }
+};
+
+// What happens to the soundtrack of a video version: keep it, drop it, swap in
+// the uploaded audioTrack, or lay the audioTrack under the original
+const AUDIO_TRACK_MODES = ['keep', 'mute', 'replace', 'mix'];
+const DEFAULT_TRACK_LEVELS = { replace: 1.0, mix: 0.3 };
+
+const DEFAULT_AUDIO_OUTPUT = { format: 'mp3', bitrate: 192 };
+
+// Returns { mode, audioOutput, soundtrack } or { error } from the `mode` field
+// ("video" or "audio") and the `audio` JSON options
+function parseAudioOptions(body) {
+  const mode = body.mode || 'video';
+  if (!['video', 'audio'].includes(mode)) {
+    return { error: 'mode must be "video" or "audio"' };
+  }
+
+  let input = body.audio || {};
+  if (typeof input === 'string') {
+    try {
+      input = JSON.parse(input);
+    } catch (err) {
+      return { error: 'audio must be valid JSON' };
+    }
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'audio must be an object' };
+  }
+
+  if (mode === 'audio') {
+    if (input.track !== undefined || input.level !== undefined) {
+      return { error: 'audio.track and audio.level only apply to video output' };
+    }
+    const audioOutput = { ...DEFAULT_AUDIO_OUTPUT, ...input };
+    if (!Object.prototype.hasOwnProperty.call(AUDIO_FORMATS, audioOutput.format)) {
+      return { error: `audio.format must be one of: ${Object.keys(AUDIO_FORMATS).join(', ')}` };
+    }
+    if (!Number.isInteger(audioOutput.bitrate) || audioOutput.bitrate < 32 || audioOutput.bitrate > 512) {
+      return { error: 'audio.bitrate must be an integer between 32 and 512' };
+    }
+    return {
+      mode,
+      audioOutput: AUDIO_FORMATS[audioOutput.format].lossless
+        ? { format: audioOutput.format }
+        : { format: audioOutput.format, bitrate: audioOutput.bitrate }
+    };
+  }
+
+  if (input.format !== undefined || input.bitrate !== undefined) {
+    return { error: 'audio.format and audio.bitrate only apply to mode "audio"; use encoding for video versions' };
+  }
+  const track = input.track || 'keep';
+  if (!AUDIO_TRACK_MODES.includes(track)) {
+    return { error: `audio.track must be one of: ${AUDIO_TRACK_MODES.join(', ')}` };
+  }
+  if (track === 'keep' || track === 'mute') {
+    if (input.level !== undefined) {
+      return { error: 'audio.level only applies to "replace" and "mix"' };
+    }
+    return { mode, soundtrack: track === 'mute' ? { track } : undefined };
+  }
+
+  const level = input.level === undefined ? DEFAULT_TRACK_LEVELS[track] : input.level;
+  if (typeof level !== 'number' || level < 0 || level > 2) {
+    return { error: 'audio.level must be a number between 0 and 2' };
+  }
+  return { mode, soundtrack: { track, level } };
+}
+
+// Codec and muxer options for an audio-only output
+function buildAudioOutputOptions(audioOutput) {
+  const format = AUDIO_FORMATS[audioOutput.format];
+  const options = ['-c:a', format.encoder, '-ar', '48000', '-ac', '2'];
+
+  if (!format.lossless) {
+    options.push('-b:a', `${audioOutput.bitrate}k`);
+  }
+  options.push('-f', format.format);
+  if (format.format === 'ipod') {
+    options.push('-movflags', '+faststart');
+  }
+
+  return options;
+}
+
+// Audio-mode jobs write to processed/audio, everything else to processed/videos
+function versionFilePath(job, version) {
+  return path.join('processed', job.mode === 'audio' ? 'audio' : 'videos', version.filename);
+}
+
+// Extension and content type of a version's file. Older jobs predate per-version
+// containers and are always MP4.
+function versionOutputFormat(job, version) {
+  return job.mode === 'audio'
+    ? AUDIO_FORMATS[job.audioOutput.format]
+    : CONTAINERS[version.encoding ? version.encoding.container : 'mp4'];
+}
+
+// ============================================
+// OVERLAYS
+// ============================================
+
+const OVERLAY_POSITIONS = ['top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right'];
+const MAX_TEXT_OVERLAYS = 5;
+
+// Rules for each overlay kind. The watermark image and subtitle file are uploaded
+// with the request (`watermark` and `subtitles` fields); presets carry the settings.
+const OVERLAY_SCHEMA = {
+  watermark: {
+    position: { type: 'enum', values: OVERLAY_POSITIONS, default: 'bottom-right' },
+    scale: { type: 'number', min: 0.02, max: 1, default: 0.15 }, // logo width as a share of the output width
+    opacity: { type: 'number', min: 0, max: 1, default: 0.8 },
+    margin: { type: 'number', min: 0, max: 500, default: 24 }
+  },
+  text: {
+    text: { type: 'text', required: true },
+    font: { type: 'font', default: 'Sans' },
+    size: { type: 'number', min: 8, max: 200, default: 48 },
+    color: { type: 'color', default: 'white' },
+    position: { type: 'enum', values: OVERLAY_POSITIONS, default: 'bottom' },
+    margin: { type: 'number', min: 0, max: 500, default: 48 },
+    box: { type: 'boolean', default: false },
+    boxColor: { type: 'color', default: 'black' },
+    boxOpacity: { type: 'number', min: 0, max: 1, default: 0.5 },
+    start: { type: 'number', min: 0, max: 86400 }, // seconds on the output timeline
+    end: { type: 'number', min: 0, max: 86400 }
+  },
+  subtitles: {
+    fontSize: { type: 'number', min: 8, max: 96, default: 24 },
+    color: { type: 'color', default: '#ffffff' }
+  }
+};
+
+function validateOverlayObject(input, rules, fieldPrefix) {
+  const field = (name) => `${fieldPrefix}.${name}`;
+  const errors = [];
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return [{ field: fieldPrefix, message: 'Must be an object' }];
+  }
+
+  for (const [key, value] of Object.entries(input)) {
+    const rule = rules[key];
+    if (!rule) {
+      errors.push({ field: field(key), message: 'Unknown overlay field' });
+    } else if (rule.type === 'number' && (typeof value !== 'number' || !Number.isFinite(value) || value < rule.min || value > rule.max)) {
+      errors.push({ field: field(key), message: `Must be a number between ${rule.min} and ${rule.max}` });
+    } else if (rule.type === 'enum' && !rule.values.includes(value)) {
+      errors.push({ field: field(key), message: `Must be one of: ${rule.values.join(', ')}` });
+    } else if (rule.type === 'boolean' && typeof value !== 'boolean') {
+      errors.push({ field: field(key), message: 'Must be a boolean' });
+    } else if (rule.type === 'color' && (typeof value !== 'string' || !/^(#[0-9a-f]{6}|[a-z]{3,20})$/i.test(value))) {
+      errors.push({ field: field(key), message: 'Must be a color name or #rrggbb' });
+    } else if (rule.type === 'font' && (typeof value !== 'string' || !/^[\w -]{1,60}$/.test(value))) {
+      errors.push({ field: field(key), message: 'Must be a font family name' });
+    } else if (rule.type === 'text' && (typeof value !== 'string' || !value.trim() || value.length > 200)) {
+      errors.push({ field: field(key), message: 'Must be a non-empty string of at most 200 characters' });
+    }
+  }
+
+  for (const [key, rule] of Object.entries(rules)) {
+    if (rule.required && input[key] === undefined) {
+      errors.push({ field: field(key), message: 'Required' });
+    }
+  }
+
+  return errors;
+}
+
+// Returns a list of { field, message } errors for an overlays object
+function validateOverlayFields(input, fieldPrefix) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return [{ field: fieldPrefix, message: 'Must be an object' }];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(input)) {
+    if (!OVERLAY_SCHEMA[key]) {
+      errors.push({ field: `${fieldPrefix}.${key}`, message: 'Unknown overlay field' });
+    } else if (key !== 'text') {
+      errors.push(...validateOverlayObject(value, OVERLAY_SCHEMA[key], `${fieldPrefix}.${key}`));
+    } else if (!Array.isArray(value) || value.length > MAX_TEXT_OVERLAYS) {
+      errors.push({ field: `${fieldPrefix}.text`, message: `Must be a list of at most ${MAX_TEXT_OVERLAYS} captions` });
+    } else {
+      value.forEach((caption, i) => {
+        const captionErrors = validateOverlayObject(caption, OVERLAY_SCHEMA.text, `${fieldPrefix}.text[${i}]`);
+        if (captionErrors.length === 0 && caption.start !== undefined && caption.end !== undefined && caption.end <= caption.start) {
+          captionErrors.push({ field: `${fieldPrefix}.text[${i}].end`, message: 'Must be after start' });
+        }
+        errors.push(...captionErrors);
+      });
+    }
+  }
+
+  return errors;
+}
+
+// Multipart bodies carry the overlays object as a JSON string
+function parseOverlayOption(value) {
+  if (value === undefined || value === '') return {};
+  let overlays = value;
+  if (typeof value === 'string') {
+    try {
+      overlays = JSON.parse(value);
+    } catch (err) {
+      return { errors: [{ field: 'overlays', message: 'Must be valid JSON' }] };
+    }
+  }
+  const errors = validateOverlayFields(overlays, 'overlays');
+  return errors.length > 0 ? { errors } : { overlays };
+}
+
+function withOverlayDefaults(input, rules) {
+  const result = {};
+  for (const [key, rule] of Object.entries(rules)) {
+    const value = input[key] !== undefined ? input[key] : rule.default;
+    if (value !== undefined) result[key] = value;
+  }
+  return result;
+}
+
+// Each overlay kind from the request replaces the preset's. An uploaded watermark
+// or subtitle file with no settings anywhere is applied with the defaults.
+// Returns undefined when the version has no overlays.
+function resolveOverlays(presetOverlays, requestOverlays, files) {
+  const merged = { ...(presetOverlays || {}), ...(requestOverlays || {}) };
+  if (files.watermark && !merged.watermark) merged.watermark = {};
+  if (files.subtitles && !merged.subtitles) merged.subtitles = {};
+
+  const overlays = {};
+  if (merged.watermark) overlays.watermark = withOverlayDefaults(merged.watermark, OVERLAY_SCHEMA.watermark);
+  if (merged.text && merged.text.length > 0) overlays.text = merged.text.map(caption => withOverlayDefaults(caption, OVERLAY_SCHEMA.text));
+  if (merged.subtitles) overlays.subtitles = withOverlayDefaults(merged.subtitles, OVERLAY_SCHEMA.subtitles);
+
+  return Object.keys(overlays).length > 0 ? overlays : undefined;
+}
+
+// x/y expressions placing an item of size item.w x item.h inside frame.w x frame.h
+function overlayPosition(position, margin, frame, item) {
+  let x = `(${frame.w}-${item.w})/2`;
+  let y = `(${frame.h}-${item.h})/2`;
+
+  if (position.endsWith('left')) x = `${margin}`;
+  if (position.endsWith('right')) x = `${frame.w}-${item.w}-${margin}`;
+  if (position.startsWith('top')) y = `${margin}`;
+  if (position.startsWith('bottom')) y = `${frame.h}-${item.h}-${margin}`;
+
+  return { x, y };
+}
+
+// #rrggbb to the &HAABBGGRR form used by ASS styles
+function assColor(color) {
+  const names = { white: 'ffffff', black: '000000', yellow: 'ffff00', red: 'ff0000', green: '00ff00', blue: '0000ff' };
+  const hex = color.startsWith('#') ? color.slice(1) : names[color.toLowerCase()] || 'ffffff';
+  return `&H00${hex.slice(4, 6)}${hex.slice(2, 4)}${hex.slice(0, 2)}`.toUpperCase();
+}
+
+// Subtitles render with the content, before any speed change, so their timing
+// follows the (trimmed) source
+function buildSubtitlesFilter(subtitles) {
+  return `subtitles=filename=${subtitles.path}:force_style='FontSize=${subtitles.fontSize},PrimaryColour=${assColor(subtitles.color)}'`;
+}
+
+// Logo and captions on top of the finished frame, so positions and caption times
+// refer to the output. They are drawn on the main part only, whose timestamps start
+// `timeOffset` (the intro's length) into the output, so caption times are shifted
+// back by it. Captions are read from files to avoid filtergraph escaping.
+function buildOverlayChains(overlays, geometry, input, output, timeOffset = 0) {
+  const chains = [];
+  const filters = [];
+  let source = `[${input}]`;
+
+  if (overlays.watermark) {
+    const watermark = overlays.watermark;
+    const logoWidth = evenDimension(geometry.width * watermark.scale);
+    const { x, y } = overlayPosition(watermark.position, watermark.margin, { w: 'W', h: 'H' }, { w: 'w', h: 'h' });
+    chains.push(`[${watermark.input}:v]scale=${logoWidth}:-1,format=rgba,colorchannelmixer=aa=${watermark.opacity}[logo]`);
+    source += '[logo]';
+    filters.push(`overlay=x=${x}:y=${y}`);
+  }
+
+  for (const caption of overlays.text || []) {
+    // Over before the main part starts
+    if (caption.end !== undefined && caption.end <= timeOffset) continue;
+
+    const { x, y } = overlayPosition(caption.position, caption.margin, { w: 'w', h: 'h' }, { w: 'text_w', h: 'text_h' });
+    let filter = `drawtext=textfile=${caption.textFile}:expansion=none:font=${caption.font}:fontsize=${caption.size}:fontcolor=${caption.color}:x=${x}:y=${y}`;
+
+    if (caption.box) {
+      filter += `:box=1:boxcolor=${caption.boxColor}@${caption.boxOpacity}:boxborderw=${Math.round(caption.size / 4)}`;
+    }
+    if (caption.start !== undefined || caption.end !== undefined) {
+      const conditions = [];
+      const mainTime = (seconds) => Math.round(Math.max(0, seconds - timeOffset) * 1000) / 1000;
+      if (caption.start !== undefined) conditions.push(`gte(t,${mainTime(caption.start)})`);
+      if (caption.end !== undefined) conditions.push(`lte(t,${mainTime(caption.end)})`);
+      filter += `:enable='${conditions.join('*')}'`;
+    }
+    filters.push(filter);
+  }
+
+  chains.push(`${source}${filters.length > 0 ? filters.join(',') : 'null'}[${output}]`);
+  return chains;
+}
+
+// ============================================
+// SOURCE PROBING
+// ============================================
+
+// Input rules checked once before a job is queued; 0 or empty disables a rule.
+// MIN_SOURCE_RESOLUTION is the shorter side in pixels, so it holds for vertical video too.
+const MAX_SOURCE_DURATION = parseFloat(process.env.MAX_SOURCE_DURATION_SECONDS) || 0;
+const MIN_SOURCE_RESOLUTION = parseInt(process.env.MIN_SOURCE_RESOLUTION) || 0;
+const REJECTED_CODECS = (process.env.REJECTED_CODECS || '').split(',').map(codec => codec.trim().toLowerCase()).filter(Boolean);
+
+const HDR_TRANSFERS = ['smpte2084', 'arib-std-b67'];
+
+function probeMedia(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => (err ? reject(err) : resolve(metadata)));
+  });
+}
+
+// "30000/1001" -> 29.97; ffprobe reports "0/0" when it doesn't know
+function parseFrameRate(value) {
+  const [numerator, denominator] = String(value || '').split('/').map(Number);
+  return numerator > 0 && denominator > 0 ? Math.round(numerator / denominator * 1000) / 1000 : null;
+}
+
+// Older ffprobe builds report the rotate tag, newer ones the display matrix
+function streamRotation(stream) {
+  const value = Number(stream.tags && stream.tags.rotate !== undefined ? stream.tags.rotate : stream.rotation) || 0;
+  return ((Math.round(value) % 360) + 360) % 360;
+}
+
+// The parts of ffprobe's output the rest of the server works from. Video width and
+// height are as displayed: ffmpeg applies the rotation while decoding, so a phone
+// video tagged with 90 degrees is filtered as a portrait frame.
+function summarizeProbe(metadata) {
+  const videoStream = metadata.streams.find(s =>
+    s.codec_type === 'video' && !(s.disposition && s.disposition.attached_pic)
+  );
+  const audioStream = metadata.streams.find(s => s.codec_type === 'audio');
+
+  let video = null;
+  if (videoStream) {
+    const rotation = streamRotation(videoStream);
+    const sideways = rotation === 90 || rotation === 270;
+    video = {
+      codec: videoStream.codec_name,
+      profile: videoStream.profile,
+      width: sideways ? videoStream.height : videoStream.width,
+      height: sideways ? videoStream.width : videoStream.height,
+      codedWidth: videoStream.width,
+      codedHeight: videoStream.height,
+      rotation,
+      frameRate: parseFrameRate(videoStream.avg_frame_rate) || parseFrameRate(videoStream.r_frame_rate),
+      pixelFormat: videoStream.pix_fmt,
+      bitDepth: parseInt(videoStream.bits_per_raw_sample) || null,
+      colorTransfer: videoStream.color_transfer,
+      colorPrimaries: videoStream.color_primaries,
+      hdr: HDR_TRANSFERS.includes(videoStream.color_transfer)
+    };
+  }
+
+  return {
+    duration: Number(metadata.format.duration) || 0,
+    size: Number(metadata.format.size) || null,
+    container: metadata.format.format_name,
+    bitrate: Math.round(Number(metadata.format.bit_rate) / 1000) || null,
+    video,
+    audio: audioStream ? {
+      codec: audioStream.codec_name,
+      channels: audioStream.channels,
+      sampleRate: Number(audioStream.sample_rate) || null,
+      bitrate: Math.round(Number(audioStream.bit_rate) / 1000) || null
+    } : null,
+    hasAudio: Boolean(audioStream)
+  };
+}
+
+// Jobs carry the probe taken when they were accepted; older jobs are probed per version
+function sourceProbe(job, inputPath, callback) {
+  if (job.probe) {
+    return process.nextTick(callback, null, job.probe);
+  }
+  ffmpeg.ffprobe(inputPath, (err, metadata) => callback(err, metadata && summarizeProbe(metadata)));
+}
+
+// Returns an error message when the source breaks a server rule, otherwise null
+function checkSourceRules(probe, mode) {
+  if (mode === 'audio' ? !probe.audio : !probe.video) {
+    return mode === 'audio' ? 'No audio stream found' : 'No video stream found';
+  }
+  if (MAX_SOURCE_DURATION && probe.duration > MAX_SOURCE_DURATION) {
+    return `Source is ${probe.duration.toFixed(1)}s long; the maximum is ${MAX_SOURCE_DURATION}s`;
+  }
+  if (mode !== 'audio' && MIN_SOURCE_RESOLUTION && Math.min(probe.video.width, probe.video.height) < MIN_SOURCE_RESOLUTION) {
+    return `Source resolution ${probe.video.width}x${probe.video.height} is below the minimum of ${MIN_SOURCE_RESOLUTION}p`;
+  }
+
+  // Only the streams the job will decode matter
+  const streams = mode === 'audio' ? [probe.audio] : [probe.video, probe.audio];
+  const rejected = streams.find(stream => stream && REJECTED_CODECS.includes(stream.codec));
+  if (rejected) {
+    return `Source codec ${rejected.codec} is not accepted`;
+  }
+  return null;
+}
+
+// ============================================
+// TRIMMING AND CLIPS
+// ============================================
+
+const MAX_SEGMENTS = 20;
+const MAX_CROSSFADE_SECONDS = 5;
+
+// Returns { cut } (undefined when the whole source is used) or { error } from
+// `trim` ({ start, end }) or `segments` ([{ start, end }, ...]) plus `crossfade`
+// seconds between segments. A missing end means the end of the source.
+function parseCutOptions(body) {
+  if (!body.trim && !body.segments) {
+    return body.crossfade ? { error: 'crossfade needs segments' } : {};
+  }
+  if (body.trim && body.segments) {
+    return { error: 'Use either trim or segments, not both' };
+  }
+
+  let input = body.trim || body.segments;
+  if (typeof input === 'string') {
+    try {
+      input = JSON.parse(input);
+    } catch (err) {
+      return { error: `${body.trim ? 'trim' : 'segments'} must be valid JSON` };
+    }
+  }
+
+  const segments = body.trim ? [input] : input;
+  if (!Array.isArray(segments) || segments.length < 1 || segments.length > MAX_SEGMENTS) {
+    return { error: `segments must be a list of 1 to ${MAX_SEGMENTS} { start, end } ranges` };
+  }
+
+  for (const [i, segment] of segments.entries()) {
+    const field = body.trim ? 'trim' : `segments[${i}]`;
+    if (!segment || typeof segment !== 'object' || Array.isArray(segment)) {
+      return { error: `${field} must be an object with start and end seconds` };
+    }
+    const start = segment.start === undefined ? 0 : segment.start;
+    if (typeof start !== 'number' || start < 0) {
+      return { error: `${field}.start must be a number of seconds >= 0` };
+    }
+    if (segment.end !== undefined && (typeof segment.end !== 'number' || segment.end <= start)) {
+      return { error: `${field}.end must be a number of seconds after start` };
+    }
+  }
+
+  const crossfade = body.crossfade === undefined || body.crossfade === '' ? 0 : Number(body.crossfade);
+  if (!(crossfade >= 0 && crossfade <= MAX_CROSSFADE_SECONDS)) {
+    return { error: `crossfade must be between 0 and ${MAX_CROSSFADE_SECONDS} seconds` };
+  }
+
+  return {
+    cut: {
+      segments: segments.map(segment => ({ start: segment.start || 0, end: segment.end })),
+      crossfade: segments.length > 1 ? crossfade : 0
+    }
+  };
+}
+
+// Check the cut against the probed source duration and fill in open ends.
+// Returns { cut } with the total cut duration, or { error }.
+function resolveCut(cut, sourceDuration) {
+  const segments = [];
+
+  for (const [i, segment] of cut.segments.entries()) {
+    const end = segment.end === undefined ? sourceDuration : segment.end;
+    if (segment.start >= sourceDuration || end > sourceDuration + 0.05) {
+      return { error: `Segment ${i + 1} (${segment.start}s-${end}s) is outside the source duration of ${sourceDuration.toFixed(2)}s` };
+    }
+    // Every segment fades in and out, so it must outlast both crossfades
+    if (cut.crossfade && end - segment.start <= cut.crossfade * 2) {
+      return { error: `Segment ${i + 1} must be longer than twice the crossfade` };
+    }
+    segments.push({ start: segment.start, end: Math.min(end, sourceDuration) });
+  }
+
+  const duration = segments.reduce((total, segment) => total + segment.end - segment.start, 0) -
+    cut.crossfade * (segments.length - 1);
+
+  return { cut: { segments, crossfade: cut.crossfade, duration } };
+}
+
+// Intro/outro uploads must be playable video; their length and audio are needed
+// to build the join. Returns the clip record or throws.
+async function probeClip(file, name) {
+  let metadata;
+  try {
+    metadata = await probeMedia(file.path);
+  } catch (err) {
+    throw new Error(`${name} could not be read`);
+  }
+
+  if (!metadata.streams.some(s => s.codec_type === 'video') || !metadata.format.duration) {
+    throw new Error(`${name} must be a video clip`);
+  }
+
+  return {
+    path: file.path,
+    originalFilename: file.originalname,
+    duration: metadata.format.duration,
+    hasAudio: metadata.streams.some(s => s.codec_type === 'audio')
+  };
+}
+
+// ============================================
+// STREAMING PACKAGES
+// ============================================
+
+const STREAMING_FORMATS = ['hls', 'dash'];
+const STREAMING_SEGMENT_SECONDS = 6;
+const MAX_LADDER_RUNGS = 6;
+
+// Rung heights refer to the shorter side so the same ladder works for vertical outputs
+const DEFAULT_STREAMING_LADDER = [
+  { height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+  { height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { height: 480, videoBitrate: 1400, audioBitrate: 96 }
+];
+
+const STREAM_CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.mpd': 'application/dash+xml',
+  '.m4s': 'video/iso.segment'
+};
+
+function streamDirectory(jobId, versionKey) {
+  return path.join('processed', 'streams', jobId, versionKey);
+}
+
+// Returns { streaming } (undefined when not requested) or { error } from the
+// streaming ("hls", "dash" or both) and ladder request fields
+function parseStreamingOptions(body) {
+  if (!body.streaming) return {};
+
+  const formats = (Array.isArray(body.streaming) ? body.streaming : String(body.streaming).split(','))
+    .map(format => String(format).trim().toLowerCase())
+    .filter(Boolean);
+
+  if (formats.length === 0 || formats.some(format => !STREAMING_FORMATS.includes(format))) {
+    return { error: `streaming must be one or more of: ${STREAMING_FORMATS.join(', ')}` };
+  }
+
+  let ladder = DEFAULT_STREAMING_LADDER;
+  if (body.ladder) {
+    try {
+      ladder = typeof body.ladder === 'string' ? JSON.parse(body.ladder) : body.ladder;
+    } catch (err) {
+      return { error: 'ladder must be valid JSON' };
+    }
+    if (!Array.isArray(ladder) || ladder.length < 1 || ladder.length > MAX_LADDER_RUNGS) {
+      return { error: `ladder must list between 1 and ${MAX_LADDER_RUNGS} renditions` };
+    }
+    for (const rung of ladder) {
+      if (!rung || !Number.isInteger(rung.height) || rung.height < 144 || rung.height > 2160) {
+        return { error: 'Each ladder height must be an integer between 144 and 2160' };
+      }
+      if (!Number.isInteger(rung.videoBitrate) || rung.videoBitrate < 100 || rung.videoBitrate > 50000) {
+        return { error: 'Each ladder videoBitrate must be an integer kbps between 100 and 50000' };
+      }
+      if (rung.audioBitrate !== undefined && (!Number.isInteger(rung.audioBitrate) || rung.audioBitrate < 32 || rung.audioBitrate > 320)) {
+        return { error: 'Each ladder audioBitrate must be an integer kbps between 32 and 320' };
+      }
+    }
+    ladder = ladder
+      .map(rung => ({ height: rung.height, videoBitrate: rung.videoBitrate, audioBitrate: rung.audioBitrate || 128 }))
+      .sort((a, b) => b.height - a.height);
+  }
+
+  return { streaming: { formats: [...new Set(formats)], ladder } };
+}
+
+// Drop rungs larger than the output; always keep at least one at the output size
+function fitLadder(ladder, width, height) {
+  const shortSide = Math.min(width, height);
+  const fitted = ladder.filter(rung => rung.height <= shortSide);
+  return fitted.length > 0 ? fitted : [{ ...ladder[ladder.length - 1], height: shortSide }];
+}
+
+function runFfmpeg(command, commandKey) {
+  return new Promise((resolve, reject) => {
+    activeCommands.set(commandKey, command);
+    command
+      .on('end', () => {
+        activeCommands.delete(commandKey);
+        resolve();
+      })
+      .on('error', (err) => {
+        activeCommands.delete(commandKey);
+        reject(err);
+      })
+      .run();
+  });
+}
+
+// Package an encoded MP4 into HLS and/or DASH renditions under processed/streams
+async function packageStreams(jobId, versionKey, mp4Path, geometry, hasAudio) {
+  const job = jobs.get(jobId);
+  const dir = streamDirectory(jobId, versionKey);
+  const ladder = fitLadder(job.streaming.ladder, geometry.width, geometry.height);
+  const landscape = geometry.width >= geometry.height;
+
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  // One split per rung, each scaled so its short side matches the rung height
+  const scaleGraph = `[0:v]split=${ladder.length}${ladder.map((r, i) => `[s${i}]`).join('')};` +
+    ladder.map((rung, i) => 
+      `[s${i}]scale=${landscape ? `-2:${rung.height}` : `${rung.height}:-2`}[v${i}]`
+    ).join(';');
+
+  const encodeOptions = [];
+  ladder.forEach((rung, i) => {
+    encodeOptions.push(
+      '-map', `[v${i}]`,
+      `-c:v:${i}`, 'libx264',
+      `-b:v:${i}`, `${rung.videoBitrate}k`,
+      `-maxrate:v:${i}`, `${Math.round(rung.videoBitrate * 1.1)}k`,
+      `-bufsize:v:${i}`, `${rung.videoBitrate * 2}k`
+    );
+    if (hasAudio) {
+      encodeOptions.push('-map', 'a:0', `-c:a:${i}`, 'aac', `-b:a:${i}`, `${rung.audioBitrate}k`);
+    }
+  });
+  encodeOptions.push(
+    '-preset', 'veryfast',
+    '-pix_fmt', 'yuv420p',
+    // Keyframes on segment boundaries so every rendition switches cleanly
+    '-force_key_frames', `expr:gte(t,n_forced*${STREAMING_SEGMENT_SECONDS})`,
+    '-sc_threshold', '0'
+  );
+
+  const result = { formats: job.streaming.formats, renditions: [] };
+  const commandKey = `${jobId}:${versionKey}`;
+
+  if (job.streaming.formats.includes('hls')) {
+    ladder.forEach((rung, i) => fs.mkdirSync(path.join(dir, 'hls', `v${i}`), { recursive: true }));
+
+    const command = ffmpeg(mp4Path)
+      .complexFilter(scaleGraph)
+      .outputOptions(
+        ...encodeOptions,
+        '-f', 'hls',
+        '-hls_time', String(STREAMING_SEGMENT_SECONDS),
+        '-hls_playlist_type', 'vod',
+        '-hls_segment_filename', path.join(dir, 'hls', 'v%v', 'segment_%03d.ts'),
+        '-master_pl_name', 'master.m3u8',
+        '-var_stream_map', ladder.map((rung, i) => hasAudio ? `v:${i},a:${i}` : `v:${i}`).join(' ')
+      )
+      .output(path.join(dir, 'hls', 'v%v', 'index.m3u8'));
+
+    await runFfmpeg(command, commandKey);
+    result.hls = `/api/stream/${jobId}/${versionKey}/hls/master.m3u8`;
+  }
+
+  if (job.streaming.formats.includes('dash')) {
+    fs.mkdirSync(path.join(dir, 'dash'), { recursive: true });
+
+    const command = ffmpeg(mp4Path)
+      .complexFilter(scaleGraph)
+      .outputOptions(
+        ...encodeOptions,
+        '-f', 'dash',
+        '-seg_duration', String(STREAMING_SEGMENT_SECONDS),
+        '-use_template', '1',
+        '-use_timeline', '1',
+        '-adaptation_sets', hasAudio ? 'id=0,streams=v id=1,streams=a' : 'id=0,streams=v'
+      )
+      .output(path.join(dir, 'dash', 'manifest.mpd'));
+
+    await runFfmpeg(command, commandKey);
+    result.dash = `/api/stream/${jobId}/${versionKey}/dash/manifest.mpd`;
+  }
+
+  result.renditions = ladder.map(rung => ({
+    height: rung.height,
+    videoBitrate: `${rung.videoBitrate}k`,
+    audioBitrate: hasAudio ? `${rung.audioBitrate}k` : null
+  }));
+  return result;
+}
+
+// ============================================
+// THUMBNAILS
+// ============================================
+
+const THUMBNAIL_ASSETS = ['poster', 'sprite', 'vtt', 'preview'];
+const MAX_SPRITE_TILES = 400;
+
+const THUMBNAIL_CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.vtt': 'text/vtt'
+};
+
+// Returns { thumbnails } (undefined when not requested) or { error }. `true` asks
+// for a poster only; an object may configure poster, sprite and preview.
+function parseThumbnailOptions(value) {
+  if (value === undefined || value === '' || value === false || value === 'false') return {};
+
+  let input = value;
+  if (value === true || value === 'true') {
+    input = { poster: {} };
+  } else if (typeof value === 'string') {
+    try {
+      input = JSON.parse(value);
+    } catch (err) {
+      return { error: 'thumbnails must be true or valid JSON' };
+    }
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'thumbnails must be true or an object' };
+  }
+
+  const isNumberIn = (number, min, max) => typeof number === 'number' && number >= min && number <= max;
+  const thumbnails = {};
+
+  if (input.poster) {
+    const poster = input.poster === true ? {} : input.poster;
+    const format = poster.format || 'jpg';
+    const at = poster.at === undefined ? 'best' : poster.at;
+    if (!['jpg', 'webp'].includes(format)) {
+      return { error: 'thumbnails.poster.format must be jpg or webp' };
+    }
+    if (at !== 'best' && !isNumberIn(at, 0, 86400)) {
+      return { error: 'thumbnails.poster.at must be "best" or a number of seconds' };
+    }
+    thumbnails.poster = { format, at };
+  }
+
+  if (input.sprite) {
+    const sprite = { interval: 5, columns: 5, width: 160, ...(input.sprite === true ? {} : input.sprite) };
+    if (!isNumberIn(sprite.interval, 0.5, 600) || !Number.isInteger(sprite.columns) || !isNumberIn(sprite.columns, 1, 20) ||
+        !Number.isInteger(sprite.width) || !isNumberIn(sprite.width, 32, 640)) {
+      return { error: 'thumbnails.sprite needs interval 0.5-600s, columns 1-20 and width 32-640' };
+    }
+    thumbnails.sprite = { interval: sprite.interval, columns: sprite.columns, width: sprite.width };
+  }
+
+  if (input.preview) {
+    const preview = { format: 'gif', start: 0, duration: 3, width: 480, fps: 10, ...(input.preview === true ? {} : input.preview) };
+    if (!['gif', 'webp'].includes(preview.format)) {
+      return { error: 'thumbnails.preview.format must be gif or webp' };
+    }
+    if (!isNumberIn(preview.start, 0, 86400) || !isNumberIn(preview.duration, 0.5, 15) ||
+        !Number.isInteger(preview.width) || !isNumberIn(preview.width, 64, 1280) || !isNumberIn(preview.fps, 1, 30)) {
+      return { error: 'thumbnails.preview needs start >= 0, duration 0.5-15s, width 64-1280 and fps 1-30' };
+    }
+    thumbnails.preview = {
+      format: preview.format,
+      start: preview.start,
+      duration: preview.duration,
+      width: preview.width,
+      fps: preview.fps
+    };
+  }
+
+  if (Object.keys(thumbnails).length === 0) {
+    return { error: 'thumbnails must request at least one of poster, sprite or preview' };
+  }
+  return { thumbnails };
+}
+
+function formatVttTimestamp(seconds) {
+  const date = new Date(Math.round(seconds * 1000));
+  return date.toISOString().substr(11, 12);
+}
+
+function thumbnailPath(filename) {
+  return path.join('processed', 'images', filename);
+}
+
+function removeThumbnails(version) {
+  for (const asset of Object.values(version.thumbnails || {})) {
+    if (asset && asset.filename) {
+      fs.rmSync(thumbnailPath(asset.filename), { force: true });
+    }
+  }
+}
+
+// Poster, sprite sheet + WebVTT track and animated preview for a finished version.
+// A failed asset is reported on the result instead of failing the version; a
+// cancel stops before the next asset and is rethrown.
+async function generateThumbnails(jobId, versionKey, videoPath, geometry, duration) {
+  const job = jobs.get(jobId);
+  const options = job.thumbnails;
+  const commandKey = `${jobId}:${versionKey}`;
+  const baseName = `${jobId}_${versionKey}`;
+  const assetUrl = (asset) => `/api/thumbnail/${jobId}/${versionKey}/${asset}`;
+  const result = {};
+
+  // Assets made before the cancel are removed, as the version never references them
+  const checkCancelled = () => {
+    if (job.versions[versionKey].status === 'cancelled') {
+      removeThumbnails({ thumbnails: result });
+      throw cancelledError();
+    }
+  };
+
+  if (options.poster) {
+    checkCancelled();
+    const filename = `${baseName}_poster.${options.poster.format}`;
+    // "best" lets ffmpeg's thumbnail filter pick the most representative frame
+    const command = options.poster.at === 'best'
+      ? ffmpeg(videoPath).videoFilters('thumbnail=300')
+      : ffmpeg(videoPath).seekInput(Math.min(options.poster.at, Math.max(0, duration - 0.1)));
+
+    command.outputOptions(options.poster.format === 'webp'
+      ? ['-frames:v', '1', '-c:v', 'libwebp', '-quality', '85']
+      : ['-frames:v', '1', '-q:v', '2']);
+
+    try {
+      await runFfmpeg(command.output(thumbnailPath(filename)), commandKey);
+      result.poster = { filename, url: assetUrl('poster') };
+    } catch (err) {
+      checkCancelled();
+      result.poster = { error: err.message };
+    }
+  }
+
+  if (options.sprite) {
+    checkCancelled();
+    const filename = `${baseName}_sprite.jpg`;
+    const vttFilename = `${baseName}_thumbnails.vtt`;
+    // Long videos get a wider interval so the sheet stays a reasonable size
+    const interval = Math.max(options.sprite.interval, duration / MAX_SPRITE_TILES);
+    const tileCount = Math.max(1, Math.ceil(duration / interval));
+    const columns = Math.min(options.sprite.columns, tileCount);
+    const rows = Math.ceil(tileCount / columns);
+    const tileWidth = options.sprite.width;
+    const tileHeight = evenDimension(tileWidth * geometry.height / geometry.width);
+
+    const command = ffmpeg(videoPath)
+      .videoFilters(`fps=1/${interval},scale=${tileWidth}:${tileHeight},tile=${columns}x${rows}`)
+      .outputOptions(['-frames:v', '1', '-q:v', '4'])
+      .output(thumbnailPath(filename));
+
+    try {
+      await runFfmpeg(command, commandKey);
+
+      const cues = ['WEBVTT', ''];
+      for (let i = 0; i < tileCount; i++) {
+        const x = (i % columns) * tileWidth;
+        const y = Math.floor(i / columns) * tileHeight;
+        cues.push(
+          `${formatVttTimestamp(i * interval)} --> ${formatVttTimestamp(Math.min((i + 1) * interval, duration))}`,
+          `${assetUrl('sprite')}#xywh=${x},${y},${tileWidth},${tileHeight}`,
+          ''
+        );
+      }
+      fs.writeFileSync(thumbnailPath(vttFilename), cues.join('\n'));
+
+      result.sprite = { filename, url: assetUrl('sprite'), columns, rows, interval };
+      result.vtt = { filename: vttFilename, url: assetUrl('vtt') };
+    } catch (err) {
+      checkCancelled();
+      result.sprite = { error: err.message };
+    }
+  }
+
+  if (options.preview) {
+    checkCancelled();
+    const { format, start, width, fps } = options.preview;
+    const filename = `${baseName}_preview.${format}`;
+    const scale = `fps=${fps},scale=${width}:-2:flags=lanczos`;
+
+    const command = ffmpeg(videoPath)
+      .seekInput(Math.min(start, Math.max(0, duration - options.preview.duration)))
+      .duration(options.preview.duration)
+      .noAudio();
+
+    if (format === 'gif') {
+      // Per-clip palette keeps GIF colours close to the video
+      command
+        .complexFilter(`[0:v]${scale},split[frames][palette];[palette]palettegen[p];[frames][p]paletteuse`)
+        .outputOptions(['-loop', '0']);
+    } else {
+      command
+        .videoFilters(scale)
+        .outputOptions(['-c:v', 'libwebp', '-loop', '0', '-quality', '70']);
+    }
+
+    try {
+      await runFfmpeg(command.output(thumbnailPath(filename)), commandKey);
+      result.preview = { filename, url: assetUrl('preview') };
+    } catch (err) {
+      checkCancelled();
+      result.preview = { error: err.message };
+    }
+  }
+
+  return result;
+}
+
+// ============================================
+// UNIQUENESS ANALYSIS
+// ============================================
+
+// With `uniqueness` requested, every finished version is measured against the
+// source: SSIM and PSNR from ffmpeg's filters, the distance between perceptual
+// hashes (dHash) of sampled frames, and the bit error rate between audio
+// fingerprints. Those combine into a difference score from 0 (identical) to 1.
+// Each version is also compared with its already finished siblings. Versions
+// scoring below minDifference are flagged, or failed when action is "fail".
+const UNIQUENESS_MIN_DIFFERENCE = parseFloat(process.env.UNIQUENESS_MIN_DIFFERENCE) || 0.15;
+const UNIQUENESS_ACTIONS = ['flag', 'fail'];
+const UNIQUENESS_ACTION = UNIQUENESS_ACTIONS.includes(process.env.UNIQUENESS_ACTION) ? process.env.UNIQUENESS_ACTION : 'flag';
+// Frames are sampled evenly across the main part, at most this many and this often
+const UNIQUENESS_SAMPLE_FRAMES = 60;
+const UNIQUENESS_MAX_FPS = 2;
+const UNIQUENESS_FRAME_WIDTH = 320;
+// Audio fingerprints follow Haitsma & Kalker: 32 bits per 0.37s frame, one per
+// band pair, from the sign of the energy difference between 33 bands over time
+const FINGERPRINT_SAMPLE_RATE = 5512;
+const FINGERPRINT_FRAME = 2048;
+const FINGERPRINT_HOP = 512;
+const FINGERPRINT_BANDS = 33;
+const FINGERPRINT_MIN_HZ = 300;
+const FINGERPRINT_MAX_HZ = 2000;
+
+// Returns { uniqueness } (undefined when not requested) or { error }. `true` uses
+// the server's threshold and action; an object may set minDifference and action.
+function parseUniquenessOptions(value) {
+  if (value === undefined || value === '' || value === false || value === 'false') return {};
+
+  let input = value;
+  if (value === true || value === 'true') {
+    input = {};
+  } else if (typeof value === 'string') {
+    try {
+      input = JSON.parse(value);
+    } catch (err) {
+      return { error: 'uniqueness must be true or valid JSON' };
+    }
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'uniqueness must be true or an object' };
+  }
+
+  const uniqueness = { minDifference: UNIQUENESS_MIN_DIFFERENCE, action: UNIQUENESS_ACTION, ...input };
+  if (typeof uniqueness.minDifference !== 'number' || uniqueness.minDifference < 0 || uniqueness.minDifference > 1) {
+    return { error: 'uniqueness.minDifference must be a number from 0 to 1' };
+  }
+  if (!UNIQUENESS_ACTIONS.includes(uniqueness.action)) {
+    return { error: `uniqueness.action must be one of: ${UNIQUENESS_ACTIONS.join(', ')}` };
+  }
+  return { uniqueness: { minDifference: uniqueness.minDifference, action: uniqueness.action } };
+}
+
+// Frame hashes and fingerprints are kept beside the outputs for later sibling comparisons
+function signaturePath(filename) {
+  return path.join('processed', 'analysis', filename);
+}
+
+function roundMetric(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function popcount32(value) {
+  let bits = value >>> 0;
+  let count = 0;
+  while (bits) {
+    bits = (bits & (bits - 1)) >>> 0;
+    count++;
+  }
+  return count;
+}
+
+// 64-bit dHash of each 9x8 grey frame: one bit per pixel brighter than its right neighbour.
+// Kept as two 32-bit halves so distances need no BigInt.
+function frameHashes(buffer) {
+  const hashes = [];
+  for (let offset = 0; offset + 72 <= buffer.length; offset += 72) {
+    const halves = [0, 0];
+    for (let bit = 0; bit < 64; bit++) {
+      const pixel = offset + Math.floor(bit / 8) * 9 + bit % 8;
+      if (buffer[pixel] > buffer[pixel + 1]) {
+        halves[bit >> 5] = (halves[bit >> 5] | (1 << (31 - bit % 32))) >>> 0;
+      }
+    }
+    hashes.push(halves);
+  }
+  return hashes;
+}
+
+// In-place radix-2 FFT over a power-of-two length
+function fft(re, im, cosTable, sinTable) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const wr = cosTable[k * step];
+        const wi = sinTable[k * step];
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+// One 32-bit sub-fingerprint per hop of mono s16le PCM. Yields to the event loop
+// now and then, since long sources take a moment to fingerprint.
+async function audioFingerprint(pcm) {
+  const sampleCount = Math.floor(pcm.length / 2);
+  const cosTable = new Float64Array(FINGERPRINT_FRAME / 2);
+  const sinTable = new Float64Array(FINGERPRINT_FRAME / 2);
+  for (let k = 0; k < FINGERPRINT_FRAME / 2; k++) {
+    cosTable[k] = Math.cos(-2 * Math.PI * k / FINGERPRINT_FRAME);
+    sinTable[k] = Math.sin(-2 * Math.PI * k / FINGERPRINT_FRAME);
+  }
+  const windowWeights = new Float64Array(FINGERPRINT_FRAME).map((_, i) => 
+    0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FINGERPRINT_FRAME - 1))
+  );
+  // Logarithmically spaced band edges, as FFT bin indexes
+  const edges = Array.from({ length: FINGERPRINT_BANDS + 1 }, (_, i) => Math.round(
+    FINGERPRINT_MIN_HZ * Math.pow(FINGERPRINT_MAX_HZ / FINGERPRINT_MIN_HZ, i / FINGERPRINT_BANDS) * FINGERPRINT_FRAME / FINGERPRINT_SAMPLE_RATE
+  ));
+
+  const fingerprint = [];
+  const re = new Float64Array(FINGERPRINT_FRAME);
+  const im = new Float64Array(FINGERPRINT_FRAME);
+  let previous = null;
+
+  for (let start = 0; start + FINGERPRINT_FRAME <= sampleCount; start += FINGERPRINT_HOP) {
+    for (let i = 0; i < FINGERPRINT_FRAME; i++) {
+      re[i] = pcm.readInt16LE((start + i) * 2) / 32768 * windowWeights[i];
+      im[i] = 0;
+    }
+    fft(re, im, cosTable, sinTable);
+
+    const energies = [];
+    for (let band = 0; band < FINGERPRINT_BANDS; band++) {
+      let energy = 0;
+      for (let bin = edges[band]; bin < Math.max(edges[band + 1], edges[band] + 1); bin++) {
+        energy += re[bin] * re[bin] + im[bin] * im[bin];
+      }
+      energies.push(energy);
+    }
+
+    if (previous) {
+      let bits = 0;
+      for (let band = 0; band < FINGERPRINT_BANDS - 1; band++) {
+        const change = (energies[band] - energies[band + 1]) - (previous[band] - previous[band + 1]);
+        bits = ((bits << 1) | (change > 0 ? 1 : 0)) >>> 0;
+      }
+      fingerprint.push(bits);
+      if (fingerprint.length % 500 === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    }
+    previous = energies;
+  }
+
+  return fingerprint;
+}
+
+// Fraction of differing bits between two sequences taken over the same stretch of
+// content. A speed change alters the length, so items are matched proportionally.
+function sequenceDistance(a, b, bitsPerItem, distance) {
+  if (!a || !b || a.length === 0 || b.length === 0) return null;
+
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  let differingBits = 0;
+  shorter.forEach((item, i) => {
+    differingBits += distance(item, longer[Math.min(longer.length - 1, Math.round(i * longer.length / shorter.length))]);
+  });
+  return roundMetric(differingBits / (shorter.length * bitsPerItem));
+}
+
+const frameHashDistance = (a, b) => sequenceDistance(a, b, 64, (x, y) => popcount32(x[0] ^ y[0]) + popcount32(x[1] ^ y[1]));
+const fingerprintDistance = (a, b) => sequenceDistance(a, b, 32, (x, y) => popcount32(x ^ y));
+
+// Mean of the available measures, each scaled to 0-1. Unrelated content has about
+// half of its hash and fingerprint bits differ, so those distances count double.
+function combinedDifference({ ssim, frameHashDistance: frames, audioDistance }) {
+  const parts = [];
+  if (typeof ssim === 'number') parts.push(1 - ssim);
+  if (typeof frames === 'number') parts.push(Math.min(1, frames * 2));
+  if (typeof audioDistance === 'number') parts.push(Math.min(1, audioDistance * 2));
+  return parts.length > 0 ? roundMetric(Math.max(0, parts.reduce((a, b) => a + b, 0) / parts.length)) : null;
+}
+
+// Measure a finished version against the source and its finished siblings, then
+// record the result on the version. Throws when the version fails the threshold
+// and the job asked for action "fail".
+async function analyzeUniqueness(jobId, versionKey, outputPath, { preset, geometry, offset, mainDuration, withVideo, withAudio }) {
+  const job = jobs.get(jobId);
+  const commandKey = `${jobId}:${versionKey}`;
+  const tmpPrefix = path.join(os.tmpdir(), `${jobId}_${versionKey}_uniqueness`);
+  const tmpFiles = {
+    sourceFrames: `${tmpPrefix}_source.gray`,
+    outputFrames: `${tmpPrefix}_output.gray`,
+    sourceAudio: `${tmpPrefix}_source.pcm`,
+    outputAudio: `${tmpPrefix}_output.pcm`
+  };
+
+  // The source (input 0) goes through the job's cut, the version's crop and fit
+  // (geometry.filter) and the preset's speed, so it is compared frame for frame
+  // rather than stretched; the output (input 1) is trimmed to its main part, so
+  // both share one timeline.
+  // Video and audio are measured in separate runs, as ffmpeg can stall when one
+  // graph feeds video and audio sinks from two inputs.
+  const outputWindow = `start=${offset.toFixed(3)}:duration=${mainDuration.toFixed(3)}`;
+  const commands = [];
+
+  // ssim and psnr report their averages on stderr when the run ends
+  const summaries = [];
+  if (withVideo) {
+    const source = buildCutChains(job.cut, true, false);
+    const rate = Math.min(UNIQUENESS_MAX_FPS, UNIQUENESS_SAMPLE_FRAMES / mainDuration);
+    const height = evenDimension(UNIQUENESS_FRAME_WIDTH * geometry.height / geometry.width);
+    const sample = `fps=${rate.toFixed(4)},scale=${UNIQUENESS_FRAME_WIDTH}:${height},setsar=1,format=yuv420p,split=3`;
+    const chains = [
+      ...source.chains,
+      `${source.video}${geometry.filter},setpts=PTS/${preset.speed},${sample}[srcv1][srcv2][srcv3]`,
+      `[1:v]trim=${outputWindow},setpts=PTS-STARTPTS,${sample}[outv1][outv2][outv3]`,
+      '[outv1][srcv1]ssim[ssim]',
+      '[outv2][srcv2]psnr[psnr]',
+      '[srcv3]scale=9:8,format=gray[srchash]',
+      '[outv3]scale=9:8,format=gray[outhash]'
+    ];
+    commands.push(ffmpeg(job.inputPath).input(outputPath)
+      .complexFilter(chains.join(';'))
+      .on('stderr', (line) => {
+        if (/\b(SSIM|PSNR) /.test(line)) summaries.push(line);
+      })
+      .output(os.devNull).outputOptions(['-map [ssim]', '-map [psnr]', '-f null'])
+      .output(tmpFiles.sourceFrames).outputOptions(['-map [srchash]', '-f rawvideo'])
+      .output(tmpFiles.outputFrames).outputOptions(['-map [outhash]', '-f rawvideo']));
+  }
+  if (withAudio) {
+    const source = buildCutChains(job.cut, false, true);
+    const pcm = `aresample=${FINGERPRINT_SAMPLE_RATE},aformat=sample_fmts=s16:channel_layouts=mono`;
+    const chains = [
+      ...source.chains,
+      `${source.audio}${['aresample=48000', ...buildAtempoChain(preset.speed), pcm].join(',')}[srca]`,
+      `[1:a]atrim=${outputWindow},asetpts=PTS-STARTPTS,${pcm}[outa]`
+    ];
+    commands.push(ffmpeg(job.inputPath).input(outputPath)
+      .complexFilter(chains.join(';'))
+      .output(tmpFiles.sourceAudio).outputOptions(['-map [srca]', '-f s16le'])
+      .output(tmpFiles.outputAudio).outputOptions(['-map [outa]', '-f s16le']));
+  }
+
+  const result = {};
+  const signature = {};
+  try {
+    for (const command of commands) {
+      if (job.versions[versionKey].status === 'cancelled') throw cancelledError();
+      await runFfmpeg(command, commandKey);
+    }
+
+    if (withVideo) {
+      const ssim = summaries.join('\n').match(/SSIM .*All:([\d.]+)/);
+      const psnr = summaries.join('\n').match(/PSNR .*average:(\S+)/);
+      result.ssim = ssim ? roundMetric(parseFloat(ssim[1])) : null;
+      // Identical frames report inf
+      result.psnr = psnr ? (Number.isFinite(parseFloat(psnr[1])) ? Math.round(parseFloat(psnr[1]) * 100) / 100 : 100) : null;
+      signature.frameHashes = frameHashes(fs.readFileSync(tmpFiles.outputFrames));
+      result.frameHashDistance = frameHashDistance(signature.frameHashes, frameHashes(fs.readFileSync(tmpFiles.sourceFrames)));
+    }
+    if (withAudio) {
+      signature.audioFingerprint = await audioFingerprint(fs.readFileSync(tmpFiles.outputAudio));
+      const sourceFingerprint = await audioFingerprint(fs.readFileSync(tmpFiles.sourceAudio));
+      result.audioDistance = fingerprintDistance(signature.audioFingerprint, sourceFingerprint);
+    }
+  } catch (err) {
+    // A version that could not be measured is reported, not failed
+    if (job.versions[versionKey].status === 'cancelled') throw err;
+    log.warn('Uniqueness analysis failed', { jobId, versionKey, error: err });
+    job.versions[versionKey].uniqueness = { error: err.message };
+    return job.versions[versionKey].uniqueness;
+  } finally {
+    Object.values(tmpFiles).forEach(file => fs.rmSync(file, { force: true }));
+  }
+
+  const { minDifference, action } = job.uniqueness;
+  result.difference = combinedDifference(result);
+  result.minDifference = minDifference;
+
+  // Siblings are compared by their stored hashes and fingerprints. Comparing and
+  // registering happen without yielding, so two versions finishing together
+  // still see each other.
+  result.similarVersions = [];
+  const siblings = [];
+  for (const [siblingKey, sibling] of Object.entries(job.versions)) {
+    if (siblingKey === versionKey || !sibling.uniqueness || !sibling.uniqueness.signature) continue;
+    if (sibling.status === 'failed' || sibling.status === 'cancelled') continue;
+
+    let siblingSignature;
+    try {
+      siblingSignature = JSON.parse(fs.readFileSync(signaturePath(sibling.uniqueness.signature), 'utf8'));
+    } catch (err) {
+      continue;
+    }
+    const difference = combinedDifference({
+      frameHashDistance: frameHashDistance(signature.frameHashes, siblingSignature.frameHashes),
+      audioDistance: fingerprintDistance(signature.audioFingerprint, siblingSignature.audioFingerprint)
+    });
+    if (difference !== null && difference < minDifference) {
+      result.similarVersions.push({ versionKey: siblingKey, difference });
+      siblings.push([sibling, difference]);
+    }
+  }
+
+  const tooCloseToSource = result.difference !== null && result.difference < minDifference;
+  result.flagged = tooCloseToSource || result.similarVersions.length > 0;
+
+  if (result.flagged && action === 'fail') {
+    // Kept on the failed version so the report shows why; without a signature
+    // it is never compared against by its siblings
+    job.versions[versionKey].uniqueness = result;
+    throw new Error(tooCloseToSource
+      ? `Too similar to the source: difference ${result.difference} is below ${minDifference}`
+      : `Too similar to ${result.similarVersions[0].versionKey}: difference ${result.similarVersions[0].difference} is below ${minDifference}`);
+  }
+
+  result.signature = `${jobId}_${versionKey}.json`;
+  fs.writeFileSync(signaturePath(result.signature), JSON.stringify(signature));
+  for (const [sibling, difference] of siblings) {
+    sibling.uniqueness.similarVersions.push({ versionKey, difference });
+    sibling.uniqueness.flagged = true;
+  }
+  job.versions[versionKey].uniqueness = result;
+
+  if (result.flagged) {
+    log.warn('Version flagged as too similar', { jobId, versionKey, difference: result.difference, similarVersions: result.similarVersions });
+  }
+  return result;
+}
+
+// ============================================
+// CUSTOM PRESETS
+// ============================================
+
+const PRESETS_FILE = path.join(DATA_DIR, 'presets.json');
+const MAX_VERSIONS_PER_JOB = 5;
+const PRESET_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+const RESERVED_PRESET_ID_PATTERN = /^(version|inline)\d+$/i; // Built-in and inline version keys
+
+// Allowed ranges for every preset field; anything outside is rejected before ffmpeg runs
+const PRESET_SCHEMA = {
+  speed: { type: 'number', min: 0.25, max: 4, default: 1.0 },
+  saturation: { type: 'number', min: 0, max: 3, default: 1.0 },
+  brightness: { type: 'number', min: -1, max: 1, default: 0 },
+  contrast: { type: 'number', min: 0, max: 3, default: 1.0 },
+  audioPitch: { type: 'number', min: -12, max: 12, default: 0 },
+  cropPercent: { type: 'number', min: 0, max: 40, default: 0 },
+  colorTemp: { type: 'enum', values: ['warm', 'cool'] },
+  sharpen: { type: 'number', min: 0, max: 1.5 },
+  gaussianBlur: { type: 'number', min: 0, max: 5 },
+  vignette: { type: 'boolean' },
+  encoding: { type: 'encoding' },
+  overlays: { type: 'overlays' }
+};
+
+const customPresets = loadCustomPresets();
+
+function loadCustomPresets() {
+  try {
+    if (fs.existsSync(PRESETS_FILE)) {
+      return JSON.parse(fs.readFileSync(PRESETS_FILE, 'utf8'));
+    }
+  } catch (err) {
+    log.error('Failed to load custom presets', { file: PRESETS_FILE, error: err });
+  }
+  return {};
+}
+
+function saveCustomPresets() {
+  const tmpPath = `${PRESETS_FILE}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(customPresets, null, 2));
+  fs.renameSync(tmpPath, PRESETS_FILE);
+}
+
+function isBuiltInPreset(presetId) {
+  return Object.prototype.hasOwnProperty.call(VERSION_PRESETS, presetId);
+}
+
+function isCustomPreset(presetId) {
+  return Object.prototype.hasOwnProperty.call(customPresets, presetId);
+}
+
+function getPreset(presetId) {
+  if (isBuiltInPreset(presetId)) return VERSION_PRESETS[presetId];
+  if (isCustomPreset(presetId)) return customPresets[presetId];
+  return null;
+}
+
+// Returns a list of { field, message } errors; an empty list means the preset is valid
+function validatePreset(input, fieldPrefix = '') {
+  const errors = [];
+  const field = (name) => fieldPrefix ? `${fieldPrefix}.${name}` : name;
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return [{ field: fieldPrefix || 'preset', message: 'Preset must be an object' }];
+  }
+
+  if (typeof input.name !== 'string' || !input.name.trim() || input.name.length > 60) {
+    errors.push({ field: field('name'), message: 'Must be a non-empty string of at most 60 characters' });
+  }
+  if (input.description !== undefined && (typeof input.description !== 'string' || input.description.length > 200)) {
+    errors.push({ field: field('description'), message: 'Must be a string of at most 200 characters' });
+  }
+
+  for (const [key, value] of Object.entries(input)) {
+    if (key === 'id' || key === 'name' || key === 'description') continue;
+
+    const rule = PRESET_SCHEMA[key];
+    if (!rule) {
+      errors.push({ field: field(key), message: 'Unknown preset field' });
+      continue;
+    }
+    if (value === undefined || value === null) continue;
+
+    if (rule.type === 'number') {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push({ field: field(key), message: 'Must be a number' });
+      } else if (value < rule.min || value > rule.max) {
+        errors.push({ field: field(key), message: `Must be between ${rule.min} and ${rule.max}` });
+      }
+    } else if (rule.type === 'enum') {
+      if (!rule.values.includes(value)) {
+        errors.push({ field: field(key), message: `Must be one of: ${rule.values.join(', ')}` });
+      }
+    } else if (rule.type === 'boolean' && typeof value !== 'boolean') {
+      errors.push({ field: field(key), message: 'Must be a boolean' });
+    } else if (rule.type === 'encoding') {
+      const encodingErrors = validateEncodingFields(value, field(key));
+      errors.push(...encodingErrors);
+      if (encodingErrors.length === 0) {
+        errors.push(...(resolveEncoding(value, null, field(key)).errors || []));
+      }
+    } else if (rule.type === 'overlays') {
+      errors.push(...validateOverlayFields(value, field(key)));
+    }
+  }
+
+  return errors;
+}
+
+// Fill in defaults and drop unset optional fields so stored presets have a stable shape
+function normalizePreset(input) {
+  const preset = { name: input.name.trim() };
+  if (input.description) preset.description = input.description;
+
+  for (const [key, rule] of Object.entries(PRESET_SCHEMA)) {
+    if (input[key] !== undefined && input[key] !== null) {
+      preset[key] = input[key];
+    } else if (rule.default !== undefined) {
+      preset[key] = rule.default;
+    }
+  }
+
+  return preset;
+}
+
+// Multipart bodies carry the list as a JSON string or comma-separated names
+function parsePresetList(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        return JSON.parse(trimmed);
+      } catch (err) {
+        return { error: 'presets must be valid JSON' };
+      }
+    }
+    return trimmed.split(',').map(name => name.trim()).filter(Boolean);
+  }
+  return { error: 'presets must be an array of preset names or preset objects' };
+}
+
+// Resolve named and inline presets into { versionKey: preset } for a job
+function resolveJobPresets(list) {
+  const errors = [];
+  const presets = {};
+
+  if (!Array.isArray(list) || list.length < 1 || list.length > MAX_VERSIONS_PER_JOB) {
+    return { errors: [{ field: 'presets', message: `Must list between 1 and ${MAX_VERSIONS_PER_JOB} presets` }] };
+  }
+
+  let inlineCount = 0;
+  list.forEach((entry, index) => {
+    const fieldName = `presets[${index}]`;
+
+    if (typeof entry === 'string') {
+      const preset = getPreset(entry);
+      if (!preset) {
+        errors.push({ field: fieldName, message: `Unknown preset "${entry}"` });
+      } else if (presets[entry]) {
+        errors.push({ field: fieldName, message: `Preset "${entry}" is listed more than once` });
+      } else {
+        presets[entry] = { ...preset };
+      }
+      return;
+    }
+
+    const presetErrors = validatePreset(entry, fieldName);
+    if (presetErrors.length > 0) {
+      errors.push(...presetErrors);
+      return;
+    }
+    inlineCount++;
+    presets[`inline${inlineCount}`] = normalizePreset(entry);
+  });
+
+  return errors.length > 0 ? { errors } : { presets };
+}
+
+// ============================================
+// STORAGE AND RETENTION
+// ============================================
+
+// How long finished jobs keep their files, by final status. RETENTION_HOURS sets
+// every status at once and RETENTION_<STATUS>_HOURS overrides one of them. An API
+// key's retentionHours (hours, or hours by status) takes precedence for its jobs.
+const RETENTION_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted'];
+const DEFAULT_RETENTION_HOURS = parseFloat(process.env.RETENTION_HOURS) || 1;
+const RETENTION_HOURS = Object.fromEntries(RETENTION_STATUSES.map(status => 
+  [status, parseFloat(process.env[`RETENTION_${status.toUpperCase()}_HOURS`]) || DEFAULT_RETENTION_HOURS]
+));
+const CLEANUP_INTERVAL_MS = (parseInt(process.env.CLEANUP_INTERVAL_MINUTES) || 15) * 60 * 1000;
+// Unreferenced files younger than this may belong to an upload still in flight
+const ORPHAN_GRACE_MS = (parseInt(process.env.ORPHAN_GRACE_MINUTES) || 30) * 60 * 1000;
+// New uploads get 507 once the volume of uploads/ or processed/ is this full
+const DISK_HIGH_WATERMARK_PERCENT = parseFloat(process.env.DISK_HIGH_WATERMARK_PERCENT) || 90;
+const STORAGE_DIRECTORIES = ['uploads', 'processed'];
+// Outputs, thumbnails and job assets are named after the job that owns them
+const JOB_FILE_OWNER = /^([a-z]+_\d+_[a-z0-9]+)_/;
+
+// Returns { hours } (by status, or null when unset) or { error }
+function parseRetentionHours(value) {
+  if (value === undefined || value === null) return { hours: null };
+
+  if (Number.isFinite(value) && value > 0) {
+    return { hours: Object.fromEntries(RETENTION_STATUSES.map(status => [status, value])) };
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { error: 'retentionHours must be a positive number of hours or an object of hours by status' };
+  }
+
+  const unknown = Object.keys(value).find(status => !RETENTION_STATUSES.includes(status));
+  if (unknown) {
+    return { error: `Unknown retention status "${unknown}", expected one of: ${RETENTION_STATUSES.join(', ')}` };
+  }
+  const invalid = Object.keys(value).find(status => !(Number.isFinite(value[status]) && value[status] > 0));
+  if (invalid) {
+    return { error: `retentionHours.${invalid} must be a positive number of hours` };
+  }
+  return { hours: { ...value } };
+}
+
+function apiKeyById(apiKeyId) {
+  for (const apiKey of apiKeys.values()) {
+    if (apiKey.id === apiKeyId) return apiKey;
+  }
+  return null;
+}
+
+// When a finished job's files are due for removal, or null while it is still running
+function jobExpiresAt(job) {
+  const finishedTime = job.finishedTime || job.completedTime;
+  if (!finishedTime || !RETENTION_STATUSES.includes(job.status)) return null;
+
+  const apiKey = job.apiKeyId ? apiKeyById(job.apiKeyId) : null;
+  const hours = (apiKey && apiKey.retentionHours && apiKey.retentionHours[job.status]) || RETENTION_HOURS[job.status];
+  return finishedTime + hours * 60 * 60 * 1000;
+}
+
+// Every file a job owns except its streaming packages, which live in one directory per job
+function jobFiles(job) {
+  const files = [job.inputPath, ...jobAssetPaths(job)];
+  for (const version of Object.values(job.versions)) {
+    if (version.filename) files.push(versionFilePath(job, version));
+    for (const asset of Object.values(version.thumbnails || {})) {
+      if (asset && asset.filename) files.push(thumbnailPath(asset.filename));
+    }
+    if (version.uniqueness && version.uniqueness.signature) files.push(signaturePath(version.uniqueness.signature));
+  }
+  return files.filter(Boolean);
+}
+
+function fileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch (err) {
+    return 0;
+  }
+}
+
+async function jobStorageBytes(jobId, job) {
+  const streamBytes = await directorySize(path.join('processed', 'streams', jobId));
+  return jobFiles(job).reduce((total, filePath) => total + fileSize(filePath), streamBytes);
+}
+
+// Delete a finished job's files and forget the job
+function removeJob(jobId, job) {
+  // Sources kept around for retries
+  removeJobSource(jobId, job);
+  for (const version of Object.values(job.versions)) {
+    removeThumbnails(version);
+    if (version.uniqueness && version.uniqueness.signature) {
+      fs.rmSync(signaturePath(version.uniqueness.signature), { force: true });
+    }
+    if (version.filename) {
+      const filePath = versionFilePath(job, version);
+      try {
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+      } catch (err) {
+        log.error('Job output cleanup failed', { jobId, file: filePath, error: err });
+      }
+    }
+  }
+  fs.rmSync(path.join('processed', 'streams', jobId), { recursive: true, force: true });
+  jobs.delete(jobId);
+  jobEventLogs.delete(jobId);
+}
+
+// Remove the finished jobs matching `predicate`; running jobs are never touched.
+// Returns the removed job ids and the bytes they held.
+async function removeJobs(predicate, { dryRun = false } = {}) {
+  const removed = { jobIds: [], bytes: 0 };
+
+  for (const [jobId, job] of [...jobs.entries()]) {
+    if (!RETENTION_STATUSES.includes(job.status) || !predicate(job)) continue;
+
+    removed.jobIds.push(jobId);
+    removed.bytes += await jobStorageBytes(jobId, job);
+    if (!dryRun) {
+      removeJob(jobId, job);
+      log.info('Job files removed', { jobId, status: job.status });
+    }
+  }
+
+  // A batch goes once all of its jobs have
+  if (!dryRun) {
+    for (const [batchId, batch] of batches.entries()) {
+      if (batch.jobIds.every(jobId => !jobs.has(jobId))) {
+        batches.delete(batchId);
+        log.info('Batch removed', { batchId });
+      }
+    }
+  }
+
+  return removed;
+}
+
+// Files under uploads/ and processed/ that no job or upload session refers to, such
+// as sources of requests that crashed mid-way or outputs of jobs lost in a restart.
+// Files named after a live job are kept even before the job records them.
+async function findOrphans(graceMs) {
+  const referenced = new Set();
+  for (const job of jobs.values()) {
+    jobFiles(job).forEach(filePath => referenced.add(path.resolve(filePath)));
+  }
+  for (const [uploadId, session] of uploadSessions.entries()) {
+    referenced.add(path.resolve(partialUploadPath(uploadId)));
+    if (session.path) referenced.add(path.resolve(session.path));
+  }
+
+  const now = Date.now();
+  const orphans = [];
+  const consider = async (entryPath, owner) => {
+    let stats;
+    try {
+      stats = await fs.promises.stat(entryPath);
+    } catch (err) {
+      return;
+    }
+    if (referenced.has(path.resolve(entryPath)) || (owner && jobs.has(owner)) || now - stats.mtimeMs < graceMs) return;
+    if (stats.isDirectory()) {
+      orphans.push({ path: entryPath, bytes: await directorySize(entryPath) });
+    } else if (stats.isFile()) {
+      orphans.push({ path: entryPath, bytes: stats.size });
+    }
+  };
+
+  for (const dir of ['uploads', 'processed/videos', 'processed/audio', 'processed/images', 'processed/analysis']) {
+    for (const name of fs.readdirSync(dir, { recursive: true })) {
+      if (name === 'partial') continue;
+      const match = path.basename(name).match(JOB_FILE_OWNER);
+      await consider(path.join(dir, name), match && match[1]);
+    }
+  }
+  for (const jobId of fs.readdirSync(path.join('processed', 'streams'))) {
+    await consider(path.join('processed', 'streams', jobId), jobId);
+  }
+
+  return orphans;
+}
+
+async function removeOrphans(graceMs, { dryRun = false } = {}) {
+  const orphans = await findOrphans(graceMs);
+  if (!dryRun) {
+    for (const orphan of orphans) {
+      fs.rmSync(orphan.path, { recursive: true, force: true });
+      log.info('Orphaned file removed', { file: orphan.path, bytes: orphan.bytes });
+    }
+  }
+  return { files: orphans.map(orphan => orphan.path), bytes: orphans.reduce((total, orphan) => total + orphan.bytes, 0) };
+}
+
+// Usage of the volumes holding each storage directory
+async function diskStatus() {
+  return Promise.all(STORAGE_DIRECTORIES.map(async (directory) => {
+    const stats = await fs.promises.statfs(directory);
+    const usedBytes = (stats.blocks - stats.bfree) * stats.bsize;
+    const freeBytes = stats.bavail * stats.bsize;
+    return {
+      directory,
+      totalBytes: stats.blocks * stats.bsize,
+      freeBytes,
+      usedPercent: Math.round(usedBytes / (usedBytes + freeBytes) * 1000) / 10
+    };
+  }));
+}
+
+// Returns { purge } or { errors } for a POST /api/admin/purge body:
+// { olderThanHours, status, apiKeyId, orphans, dryRun }, all optional
+function parsePurgeRequest(body) {
+  const errors = [];
+  const purge = {
+    olderThanHours: body.olderThanHours,
+    statuses: typeof body.status === 'string' ? body.status.split(',').map(status => status.trim()) : body.status,
+    apiKeyId: body.apiKeyId,
+    orphans: body.orphans === undefined ? true : body.orphans === true || body.orphans === 'true',
+    dryRun: body.dryRun === true || body.dryRun === 'true'
+  };
+
+  if (purge.olderThanHours !== undefined) {
+    purge.olderThanHours = Number(purge.olderThanHours);
+    if (!Number.isFinite(purge.olderThanHours) || purge.olderThanHours < 0) {
+      errors.push({ field: 'olderThanHours', message: 'Must be a number of hours >= 0' });
+    }
+  }
+  if (purge.statuses !== undefined && 
+      (!Array.isArray(purge.statuses) || purge.statuses.length === 0 || purge.statuses.some(status => !RETENTION_STATUSES.includes(status)))) {
+    errors.push({ field: 'status', message: `Must list finished statuses: ${RETENTION_STATUSES.join(', ')}` });
+  }
+  if (purge.apiKeyId !== undefined && (typeof purge.apiKeyId !== 'string' || !purge.apiKeyId)) {
+    errors.push({ field: 'apiKeyId', message: 'Must be an API key id' });
+  }
+
+  return errors.length > 0 ? { errors } : { purge };
+}
+
+// Refuse new uploads before the volume fills; encodes already accepted still need room
+async function checkDiskSpace(req, res, next) {
+  let volumes;
+  try {
+    volumes = await diskStatus();
+  } catch (err) {
+    log.error('Disk usage check failed', { error: err });
+    return next();
+  }
+
+  const full = volumes.find(volume => volume.usedPercent >= DISK_HIGH_WATERMARK_PERCENT);
+  if (full) {
+    log.warn('Upload rejected above disk high watermark', { directory: full.directory, usedPercent: full.usedPercent });
+    return res.status(507).json({ 
+      error: `Storage is ${full.usedPercent}% full; new uploads are paused until space is freed` 
+    });
+  }
+  next();
+}
+
+// ============================================
+// API KEYS
+// ============================================
+
+// Keys come from API_KEYS_FILE (default DATA_DIR/api-keys.json, a list of
+// { id, key, ...limits, retentionHours, admin, disabled }) and API_KEYS ("id:key,id:key").
+// With no keys configured the API stays open, as before.
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(DATA_DIR, 'api-keys.json');
+const API_KEY_ID_PATTERN = /^[a-zA-Z0-9_-]{1,40}$/;
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+const DEFAULT_KEY_LIMITS = {
+  maxConcurrentJobs: parseInt(process.env.KEY_MAX_CONCURRENT_JOBS) || 3,
+  dailyMinutes: parseInt(process.env.KEY_DAILY_MINUTES) || 600,
+  maxUploadSizeMB: MAX_UPLOAD_SIZE_MB,
+  requestsPerMinute: parseInt(process.env.KEY_REQUESTS_PER_MINUTE) || 120
+};
+
+function hashApiKey(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Keys are indexed by their hash so the secrets themselves are never compared
+function loadApiKeys() {
+  const entries = [];
+
+  // A broken key file must not leave the API open, so refuse to start
+  if (fs.existsSync(API_KEYS_FILE)) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8'));
+      entries.push(...(Array.isArray(parsed) ? parsed : parsed.keys || []));
+    } catch (err) {
+      log.error('Failed to load API keys', { file: API_KEYS_FILE, error: err });
+      process.exit(1);
+    }
+  }
+
+  for (const pair of (process.env.API_KEYS || '').split(',').map(value => value.trim()).filter(Boolean)) {
+    const separator = pair.indexOf(':');
+    entries.push({ id: pair.slice(0, separator), key: pair.slice(separator + 1) });
+  }
+
+  const keys = new Map();
+  for (const entry of entries) {
+    if (!entry || !API_KEY_ID_PATTERN.test(entry.id) || typeof entry.key !== 'string' || entry.key.length < 16) {
+      log.error('Invalid API key entry: needs an id and a key of at least 16 characters', { keyId: entry && entry.id });
+      process.exit(1);
+    }
+
+    const limits = {};
+    for (const name of Object.keys(DEFAULT_KEY_LIMITS)) {
+      limits[name] = Number.isFinite(entry[name]) && entry[name] > 0 ? entry[name] : DEFAULT_KEY_LIMITS[name];
+    }
+    // No key may upload more than the server-wide limit
+    limits.maxUploadSizeMB = Math.min(limits.maxUploadSizeMB, MAX_UPLOAD_SIZE_MB);
+
+    const retention = parseRetentionHours(entry.retentionHours);
+    if (retention.error) {
+      log.error(`Invalid API key entry: ${retention.error}`, { keyId: entry.id });
+      process.exit(1);
+    }
+
+    keys.set(hashApiKey(entry.key), {
+      id: entry.id,
+      ...limits,
+      retentionHours: retention.hours,
+      admin: entry.admin === true,
+      disabled: entry.disabled === true
+    });
+  }
+
+  return keys;
+}
+
+const apiKeys = loadApiKeys();
+const AUTH_ENABLED = apiKeys.size > 0;
+
+// Per-key request counts for the current fixed window
+const rateWindows = new Map();
+
+// Minutes of video and job counts per key per UTC day, kept with the jobs
+const keyUsage = createStore(JOB_STORE, 'usage');
+keyUsage.load();
+
+function usageDay(time = Date.now()) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function getUsage(apiKey) {
+  return keyUsage.get(`${apiKey.id}_${usageDay()}`) || { apiKeyId: apiKey.id, day: usageDay(), minutes: 0, jobs: 0 };
+}
+
+function recordUsage(apiKey, minutes) {
+  if (!apiKey) return;
+  const usage = getUsage(apiKey);
+  usage.minutes = Math.round((usage.minutes + minutes) * 100) / 100;
+  usage.jobs += 1;
+  keyUsage.set(`${apiKey.id}_${usage.day}`, usage);
+}
+
+function secondsUntilUtcMidnight() {
+  const now = new Date();
+  return Math.ceil((Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now.getTime()) / 1000);
+}
+
+// Accepts "Authorization: Bearer <key>", "X-API-Key: <key>" or, for GET requests
+// such as EventSource streams that cannot set headers, ?apiKey=<key>. Requests
+// carrying a valid signed link need no key.
+function authenticate(req, res, next) {
+  if (!AUTH_ENABLED || req.signedLink) return next();
+
+  const authorization = req.get('authorization') || '';
+  const secret = authorization.startsWith('Bearer ')
+    ? authorization.slice(7).trim()
+    : req.get('x-api-key') || (req.method === 'GET' ? req.query.apiKey : undefined);
+  const apiKey = typeof secret === 'string' && secret ? apiKeys.get(hashApiKey(secret)) : null;
+
+  if (!apiKey) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: secret ? 'Invalid API key' : 'API key required' });
+  }
+  if (apiKey.disabled) {
+    return res.status(403).json({ error: 'API key is disabled' });
+  }
+
+  const now = Date.now();
+  let window = rateWindows.get(apiKey.id);
+  if (!window || now - window.start >= RATE_LIMIT_WINDOW_MS) {
+    window = { start: now, count: 0 };
+    rateWindows.set(apiKey.id, window);
+  }
+  window.count++;
+
+  res.set({
+    'X-RateLimit-Limit': String(apiKey.requestsPerMinute),
+    'X-RateLimit-Remaining': String(Math.max(0, apiKey.requestsPerMinute - window.count)),
+    'X-RateLimit-Reset': String(Math.ceil((window.start + RATE_LIMIT_WINDOW_MS) / 1000))
+  });
+  if (window.count > apiKey.requestsPerMinute) {
+    res.set('Retry-After', String(Math.ceil((window.start + RATE_LIMIT_WINDOW_MS - now) / 1000)));
+    return res.status(429).json({ error: 'Rate limit exceeded' });
+  }
+
+  req.apiKey = apiKey;
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  if (req.apiKey && !req.apiKey.admin) {
+    return res.status(403).json({ error: 'This API key cannot manage shared resources' });
+  }
+  next();
+}
+
+// Jobs and uploads belong to the key that created them; admin keys see everything
+function canAccess(req, record) {
+  return !req.apiKey || req.apiKey.admin || record.apiKeyId === req.apiKey.id;
+}
+
+function uploadLimit(req) {
+  return req.apiKey ? req.apiKey.maxUploadSizeMB * 1024 * 1024 : MAX_UPLOAD_SIZE;
+}
+
+// Reject oversized multipart bodies before multer writes them to disk
+function checkUploadSize(req, res, next) {
+  const limit = uploadLimit(req);
+  if (parseInt(req.get('content-length')) > limit) {
+    return res.status(413).json({ error: `File too large. Maximum size is ${Math.floor(limit / 1024 / 1024)}MB.` });
+  }
+  next();
+}
+
+// Jobs of this key still queued or running; a batch counts once however many files it has
+function runningJobCount(apiKey) {
+  const running = new Set();
+  for (const [jobId, job] of jobs.entries()) {
+    if (job.apiKeyId === apiKey.id && (job.status === 'queued' || job.status === 'processing')) {
+      running.add(job.batchId || jobId);
+    }
+  }
+  return running.size;
+}
+
+// Concurrent job and daily minute limits for a new job of `minutes` of video.
+// Returns null when the job may start, otherwise { status, error, retryAfter }.
+function checkJobQuota(req, minutes) {
+  const apiKey = req.apiKey;
+  if (!apiKey) return null;
+
+  if (runningJobCount(apiKey) >= apiKey.maxConcurrentJobs) {
+    return { status: 429, error: `Concurrent job limit of ${apiKey.maxConcurrentJobs} reached`, retryAfter: 30 };
+  }
+
+  const usage = getUsage(apiKey);
+  if (usage.minutes + minutes > apiKey.dailyMinutes) {
+    return {
+      status: 429,
+      error: `Daily limit of ${apiKey.dailyMinutes} minutes would be exceeded (${usage.minutes} used, this job needs ${minutes})`,
+      retryAfter: secondsUntilUtcMidnight()
+    };
+  }
+
+  return null;
+}
+
+// Anything addressed by job or upload id is hidden from other keys
+app.param('jobId', (req, res, next, jobId) => {
+  const job = jobs.get(jobId);
+  if (job && !canAccess(req, job)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  next();
+});
+
+app.param('batchId', (req, res, next, batchId) => {
+  const batch = batches.get(batchId);
+  if (batch && !canAccess(req, batch)) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  next();
+});
+app.param('uploadId', (req, res, next, uploadId) => {
+  const session = uploadSessions.get(uploadId);
+  if (session && !canAccess(req, session)) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  next();
+});
+
+// ============================================
+// SIGNED LINKS
+// ============================================
+
+// DOWNLOAD_SIGNING_SECRET signs download links; without it a random secret is
+// generated once and kept in DATA_DIR so issued links survive restarts
+const SIGNING_SECRET_FILE = path.join(DATA_DIR, 'download-signing-secret');
+const DEFAULT_LINK_TTL_SECONDS = 60 * 60;
+const MAX_LINK_TTL_SECONDS = 7 * 24 * 60 * 60;
+const LINK_TARGETS = ['version', 'zip', 'thumbnail'];
+// Players fetch media in byte ranges, so a redeemed single-use link keeps serving
+// the client that redeemed it the rest of the file for this long after its first use
+const SINGLE_USE_RANGE_WINDOW_MS = 5 * 60 * 1000;
+// Base for absolute links handed out by the API; defaults to the request's own host
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+function loadSigningSecret() {
+  if (process.env.DOWNLOAD_SIGNING_SECRET) return process.env.DOWNLOAD_SIGNING_SECRET;
+  if (!fs.existsSync(SIGNING_SECRET_FILE)) {
+    fs.writeFileSync(SIGNING_SECRET_FILE, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+  }
+  return fs.readFileSync(SIGNING_SECRET_FILE, 'utf8').trim();
+}
+
+const signingSecret = loadSigningSecret();
+
+// Nonces of single-use links that have been redeemed, kept until they expire
+const usedLinks = createStore(JOB_STORE, 'links');
+usedLinks.load();
+
+function signLinkPayload(encodedPayload) {
+  return crypto.createHmac('sha256', signingSecret).update(encodedPayload).digest('base64url');
+}
+
+// Token for GET `linkPath`: base64url JSON payload plus its HMAC
+function createLinkToken(linkPath, expiresAt, singleUse) {
+  const payload = { p: linkPath, e: Math.floor(expiresAt / 1000) };
+  if (singleUse) payload.n = crypto.randomBytes(12).toString('hex');
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${signLinkPayload(encodedPayload)}`;
+}
+
+// A single "bytes=start-[end]" range past the first byte, as players send to continue
+// a download. It can never return the whole file again.
+function isContinuationRange(range) {
+  const match = /^bytes=(\d+)-(\d*)$/.exec(String(range || '').trim());
+  return Boolean(match) && Number(match[1]) > 0;
+}
+
+// Returns null for a valid token, otherwise { status, error }. Single-use tokens
+// are redeemed by `client` unless `peek` is set (HEAD requests); once redeemed, only
+// that client's continuation ranges within SINGLE_USE_RANGE_WINDOW_MS may use them again.
+function redeemLinkToken(token, requestPath, { peek, range, client } = {}) {
+  const [encodedPayload, signature] = String(token).split('.');
+  const expected = signLinkPayload(encodedPayload || '');
+
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return { status: 403, error: 'Invalid download link' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+  } catch (err) {
+    return { status: 403, error: 'Invalid download link' };
+  }
+
+  if (payload.p !== requestPath) {
+    return { status: 403, error: 'Invalid download link' };
+  }
+  if (payload.e * 1000 < Date.now()) {
+    return { status: 410, error: 'Download link has expired' };
+  }
+  if (payload.n) {
+    const used = usedLinks.get(payload.n);
+    const continuing = used && used.client === client && isContinuationRange(range) &&
+      used.redeemedAt + SINGLE_USE_RANGE_WINDOW_MS >= Date.now();
+    if (used && !continuing) {
+      return { status: 410, error: 'Download link has already been used' };
+    }
+    if (!used && !peek) usedLinks.set(payload.n, { expiresAt: payload.e * 1000, redeemedAt: Date.now(), client });
+  }
+
+  return null;
+}
+
+// A ?token= on a GET stands in for the API key, but only for the path it was issued for
+function checkSignedLink(req, res, next) {
+  if (req.query.token === undefined || (req.method !== 'GET' && req.method !== 'HEAD')) {
+    return next();
+  }
+
+  const linkError = redeemLinkToken(req.query.token, req.baseUrl + req.path, {
+    peek: req.method === 'HEAD',
+    range: req.get('range'),
+    client: req.ip
+  });
+  if (linkError) {
+    return res.status(linkError.status).json({ error: linkError.error });
+  }
+
+  req.signedLink = true;
+  next();
+}
+
+app.use('/api', checkSignedLink);
+app.use('/api', authenticate);
+
+// ============================================
+// CONVERSION REQUESTS
+// ============================================
+
+// Everything in a convert request except the source. Returns { options } or
+// { error, details } for a 400; shared by /api/convert-multi and /api/batch.
+function parseConversionOptions(req) {
+  const callbackError = validateCallback(req.body.callbackUrl, req.body.callbackSecret);
+  if (callbackError) {
+    return { error: callbackError };
+  }
+
+  const { outputProfile, error: profileError } = parseOutputProfile(req.body);
+  if (profileError) {
+    return { error: profileError };
+  }
+
+  const { streaming, error: streamingError } = parseStreamingOptions(req.body);
+  if (streamingError) {
+    return { error: streamingError };
+  }
+
+  const { thumbnails, error: thumbnailsError } = parseThumbnailOptions(req.body.thumbnails);
+  if (thumbnailsError) {
+    return { error: thumbnailsError };
+  }
+
+  const { uniqueness, error: uniquenessError } = parseUniquenessOptions(req.body.uniqueness);
+  if (uniquenessError) {
+    return { error: uniquenessError };
+  }
+
+  const requestEncoding = parseEncodingOption(req.body.encoding);
+  if (requestEncoding.errors) {
+    return { error: 'Invalid encoding', details: requestEncoding.errors };
+  }
+
+  const { mode, audioOutput, soundtrack, error: audioError } = parseAudioOptions(req.body);
+  if (audioError) {
+    return { error: audioError };
+  }
+
+  // Audio-only versions have no picture to package, thumbnail or encode
+  if (mode === 'audio' && (streaming || thumbnails || requestEncoding.encoding)) {
+    return { error: 'streaming, thumbnails and encoding are not available with mode "audio"' };
+  }
+
+  const { cut, error: cutError } = parseCutOptions(req.body);
+  if (cutError) {
+    return { error: cutError };
+  }
+
+  const requestOverlays = parseOverlayOption(req.body.overlays);
+  if (requestOverlays.errors) {
+    return { error: 'Invalid overlays', details: requestOverlays.errors };
+  }
+
+  const { publish, error: publishError } = parsePublishOption(req.body.publish, req.apiKey);
+  if (publishError) {
+    return { error: publishError };
+  }
+
+  const uploadedFile = (name) => req.files && req.files[name] && req.files[name][0];
+  if (mode === 'audio' && (uploadedFile('intro') || uploadedFile('outro'))) {
+    return { error: 'intro and outro clips are not available with mode "audio"' };
+  }
+  if (mode === 'audio' && (requestOverlays.overlays || uploadedFile('watermark') || uploadedFile('subtitles'))) {
+    return { error: 'overlays are not available with mode "audio"' };
+  }
+
+  const audioTrackFile = uploadedFile('audioTrack');
+  if (soundtrack && soundtrack.track !== 'mute' && !audioTrackFile) {
+    return { error: `audio.track "${soundtrack.track}" requires an audioTrack file` };
+  }
+  if (audioTrackFile && !(soundtrack && soundtrack.track !== 'mute')) {
+    return { error: 'audioTrack is only used with audio.track "replace" or "mix"' };
+  }
+
+  // Either an explicit list of presets or the first N built-in versions
+  const presetList = parsePresetList(req.body.presets);
+  let presets;
+
+  if (presetList) {
+    const resolved = presetList.error
+      ? { errors: [{ field: 'presets', message: presetList.error }] }
+      : resolveJobPresets(presetList);
+
+    if (resolved.errors) {
+      return { error: 'Invalid presets', details: resolved.errors };
+    }
+    presets = resolved.presets;
+  } else {
+    // Get number of versions from request body (default to 1)
+    const versionCount = parseInt(req.body.versionCount) || 1;
+
+    if (versionCount < 1 || versionCount > MAX_VERSIONS_PER_JOB) {
+      return { error: 'Invalid version count. Must be between 1 and 5.' };
+    }
+
+    presets = {};
+    Object.keys(VERSION_PRESETS).slice(0, versionCount).forEach(key => {
+      presets[key] = { ...VERSION_PRESETS[key] };
+    });
+  }
+
+  // Effective encoder settings per version
+  const encodings = {};
+  const encodingErrors = [];
+  for (const [key, preset] of Object.entries(mode === 'video' ? presets : {})) {
+    const resolved = resolveEncoding(preset.encoding, requestEncoding.encoding, `versions.${key}.encoding`);
+    if (resolved.errors) {
+      encodingErrors.push(...resolved.errors);
+    } else {
+      encodings[key] = resolved.encoding;
+    }
+  }
+  if (encodingErrors.length > 0) {
+    return { error: 'Invalid encoding', details: encodingErrors };
+  }
+
+  // Effective overlays per version; the image and subtitle file come from this request
+  const overlayFiles = { watermark: uploadedFile('watermark'), subtitles: uploadedFile('subtitles') };
+  const overlays = {};
+  const overlayErrors = [];
+  for (const [key, preset] of Object.entries(mode === 'video' ? presets : {})) {
+    const resolved = resolveOverlays(preset.overlays, requestOverlays.overlays, overlayFiles);
+    if (!resolved) continue;
+    for (const name of ['watermark', 'subtitles']) {
+      if (resolved[name] && !overlayFiles[name]) {
+        overlayErrors.push({ field: `versions.${key}.overlays.${name}`, message: `Needs a ${name} file upload` });
+      }
+    }
+    overlays[key] = resolved;
+  }
+  if (overlayErrors.length > 0) {
+    return { error: 'Invalid overlays', details: overlayErrors };
+  }
+
+  return {
+    options: {
+      presets,
+      priority: Math.max(-10, Math.min(10, parseInt(req.body.priority) || 0)), // Only used with QUEUE_ORDERING=priority
+      callback: buildCallback(req.body),
+      outputProfile,
+      streaming,
+      encodings: mode === 'video' ? encodings : undefined,
+      thumbnails,
+      uniqueness,
+      mode,
+      audioOutput,
+      soundtrack,
+      audioTrackFile,
+      cut,
+      overlays,
+      overlayFiles,
+      introFile: uploadedFile('intro'),
+      outroFile: uploadedFile('outro'),
+      publish
+    }
+  };
+}
+
+// Probe a resolved source (completed uploads were probed on assembly), check it
+// against the input rules and fit the cut to its length. The minutes count towards
+// the key's daily limit. Throws a sourceError when the source is rejected.
+async function inspectSource(source, options) {
+  let probe = source.uploadId && uploadSessions.get(source.uploadId).probe;
+  if (!probe) {
+    probe = summarizeProbe(await probeMedia(source.inputPath).catch(() => {
+      throw sourceError(422, 'Source could not be read');
+    }));
+  }
+  const sourceRuleError = checkSourceRules(probe, options.mode);
+  if (sourceRuleError) {
+    throw sourceError(422, sourceRuleError);
+  }
+
+  let cut;
+  if (options.cut) {
+    const resolved = resolveCut(options.cut, probe.duration);
+    if (resolved.error) {
+      throw sourceError(400, resolved.error);
+    }
+    cut = resolved.cut;
+  }
+
+  const duration = cut ? cut.duration : probe.duration;
+  return {
+    probe,
+    cut,
+    minutes: Math.round(duration * Object.keys(options.presets).length / 60 * 100) / 100
+  };
+}
+
+// Register a job for an inspected source and return its id; the caller starts it
+function createConversionJob(req, source, inspected, options, { intro, outro, batchId } = {}) {
+  const jobId = `multi_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const { presets, overlayFiles } = options;
+
+  // Jobs remove their assets when they finish, so batch jobs each get their own copy
+  const assetPath = (file, name) => {
+    if (!batchId) return file.path;
+    const copyPath = path.join('uploads', `${jobId}_${name}${path.extname(file.path)}`);
+    fs.copyFileSync(file.path, copyPath);
+    return copyPath;
+  };
+  const watermarkPath = overlayFiles.watermark && assetPath(overlayFiles.watermark, 'watermark');
+  const subtitlesPath = overlayFiles.subtitles && assetPath(overlayFiles.subtitles, 'subtitles');
+
+  // drawtext reads each caption from a file so captions never need filtergraph
+  // escaping. Batch jobs share the options, so every job gets its own overlays.
+  const overlays = JSON.parse(JSON.stringify(options.overlays));
+  for (const [key, versionOverlays] of Object.entries(overlays)) {
+    if (versionOverlays.watermark) versionOverlays.watermark.path = watermarkPath;
+    if (versionOverlays.subtitles) versionOverlays.subtitles.path = subtitlesPath;
+    (versionOverlays.text || []).forEach((caption, i) => {
+      caption.textFile = path.join('uploads', `${jobId}_${key}_text${i + 1}.txt`);
+      fs.writeFileSync(caption.textFile, caption.text);
+    });
+  }
+
+  // Initialize job tracking based on the resolved presets
+  const versionsToProcess = {};
+  Object.keys(presets).forEach(key => {
+    versionsToProcess[key] = { 
+      status: 'pending', 
+      progress: 0,
+      presetName: presets[key].name
+    };
+  });
+
+  jobs.set(jobId, {
+    status: 'queued',
+    versionCount: Object.keys(presets).length,
     versions: versionsToProcess,
+    presets,
+    priority: options.priority,
+    inputPath: source.inputPath,
+    callback: options.callback,
+    outputProfile: options.outputProfile,
+    streaming: options.streaming,
+    encodings: options.encodings,
+    thumbnails: options.thumbnails,
+    uniqueness: options.uniqueness,
+    mode: options.mode,
+    audioOutput: options.audioOutput,
+    soundtrack: options.soundtrack,
+    audioTrackPath: options.audioTrackFile ? options.audioTrackFile.path : undefined,
+    cut: inspected.cut,
+    intro,
+    outro,
+    overlays,
+    publish: options.publish,
+    probe: inspected.probe,
+    batchId,
+    apiKeyId: req.apiKey ? req.apiKey.id : undefined,
+    startTime: Date.now(),
+    originalFilename: source.originalFilename
+  });
+  metrics.inputBytes.inc({}, fs.statSync(source.inputPath).size);
+  consumeUpload(source.uploadId);
+
+  return jobId;
+}
+
+// ============================================
+// ZIP DOWNLOADS
+// ============================================
+
+// Outputs are already compressed, so every entry is stored as is. That keeps the
+// CPU free for encoding and makes the archive size known before it is written.
+const ZIP64_LIMIT = 0xFFFFFFFF;
+
+// Byte length of the archive sendZip streams, following compress-commons' layout:
+// files are streamed with a data descriptor, buffers carry their sizes in the local
+// header, and ZIP64 fields appear only once a size or offset passes 4 GB
+function zipLength(entries) {
+  let offset = 0;
+  let centralLength = 0;
+
+  for (const entry of entries) {
+    const nameLength = Buffer.byteLength(entry.name);
+    const size = entry.buffer ? entry.buffer.length : entry.size;
+    const zip64 = size > ZIP64_LIMIT;
+
+    centralLength += 46 + nameLength + (zip64 || offset > ZIP64_LIMIT ? 28 : 0);
+    offset += 30 + nameLength + size + (entry.buffer ? 0 : zip64 ? 24 : 16);
+  }
+
+  const zip64End = entries.length > 0xFFFF || offset > ZIP64_LIMIT || centralLength > ZIP64_LIMIT;
+  return offset + centralLength + 22 + (zip64End ? 56 + 20 : 0);
+}
+
+// Every file below `dir` as ZIP entries under `prefix`
+function directoryEntries(dir, prefix) {
+  return fs.readdirSync(dir, { recursive: true })
+    .map(relativePath => path.join(dir, relativePath))
+    .filter(filePath => fs.statSync(filePath).isFile())
+    .map(filePath => ({
+      filePath,
+      name: `${prefix}/${path.relative(dir, filePath).split(path.sep).join('/')}`,
+      size: fs.statSync(filePath).size
+    }));
+}
+
+// A completed version's file and streaming package as ZIP entries under `prefix`;
+// an empty list when it has nothing left on disk
+function versionArchiveEntries(jobId, job, versionKey, prefix = '') {
+  const version = job.versions[versionKey];
+  if (version.status !== 'completed') return [];
+
+  const filePath = versionFilePath(job, version);
+  if (!fs.existsSync(filePath)) return [];
+
+  const entries = [{
+    filePath,
+    name: `${prefix}${versionKey}_${safeFilename(job.presets[versionKey].name)}${path.extname(version.filename)}`,
+    size: fs.statSync(filePath).size
+  }];
+
+  // Whole HLS/DASH package, playlists and segments
+  const streamDir = streamDirectory(jobId, versionKey);
+  if (version.streaming && fs.existsSync(streamDir)) {
+    entries.push(...directoryEntries(streamDir, `${prefix}${versionKey}_streams`));
+  }
+  return entries;
+}
+
+// What the manifest says about a version: where it is in the ZIP, or why it isn't
+function manifestVersion(version, file) {
+  const entry = { status: version.status, presetName: version.presetName };
+  if (file) {
+    entry.file = file;
+    entry.size = version.size;
+    entry.duration = version.duration;
+  } else if (version.error) {
+    entry.error = version.error;
+  }
+  return entry;
+}
+
+// Returns { versionKeys } or { error } for ?versions=a,b; all versions by default
+function parseVersionSelection(value, allKeys) {
+  if (value === undefined || value === '') return { versionKeys: allKeys };
+
+  const versionKeys = [...new Set(String(value).split(',').map(key => key.trim()).filter(Boolean))];
+  const unknown = versionKeys.filter(key => !allKeys.includes(key));
+  if (versionKeys.length === 0 || unknown.length > 0) {
+    return { error: `Unknown versions: ${unknown.join(', ') || value}. Available: ${allKeys.join(', ')}` };
+  }
+  return { versionKeys };
+}
+
+// Stream a stored ZIP of `entries` ({ name, filePath, size } or { name, buffer })
+function sendZip(res, zipName, entries) {
+  const archive = archiver('zip', { store: true });
+
+  res.attachment(zipName);
+  res.set('Content-Length', String(zipLength(entries)));
+
+  archive.on('error', (err) => {
+    log.error('Archive failed', { archive: zipName, error: err });
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to create ZIP' });
+    } else {
+      // The length was promised up front; cut the response so the client notices
+      res.destroy(err);
+    }
+  });
+
+  archive.pipe(res);
+  for (const entry of entries) {
+    if (entry.buffer) {
+      archive.append(entry.buffer, { name: entry.name });
+    } else {
+      archive.file(entry.filePath, { name: entry.name });
+    }
+  }
+  archive.finalize();
+}
+
+// ============================================
+// BATCHES
+// ============================================
+
+// A batch is a parent record over one job per source file; its status and
+// progress are always derived from the jobs, so only the ids are stored
+const MAX_BATCH_FILES = parseInt(process.env.MAX_BATCH_FILES) || 50;
+
+const batches = createStore(JOB_STORE, 'batches');
+batches.load();
+
+// Multipart `videos` files (any number up to MAX_BATCH_FILES) plus the usual
+// overlay assets; clips and replacement tracks are per-source and not offered
+const batchUpload = upload.fields([
+  { name: 'videos', maxCount: MAX_BATCH_FILES },
+  { name: 'watermark', maxCount: 1 },
+  { name: 'subtitles', maxCount: 1 }
+]);
+
+// Multipart bodies carry upload ids as a JSON array or comma-separated
+function parseUploadIds(value) {
+  if (value === undefined || value === '') return [];
+  if (Array.isArray(value)) return value;
+  try {
+    return value.trim().startsWith('[') ? JSON.parse(value) : value.split(',').map(id => id.trim()).filter(Boolean);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Same rules as settleJobStatus: any failure fails the batch, otherwise it
+// completed if anything did
+function batchStatus(jobList) {
+  const statuses = jobList.map(job => job.status);
+  if (statuses.some(status => status === 'queued' || status === 'processing')) {
+    return statuses.every(status => status === 'queued') ? 'queued' : 'processing';
+  }
+  if (statuses.includes('failed') || statuses.includes('interrupted')) return 'failed';
+  if (statuses.includes('completed')) return 'completed';
+  return 'cancelled';
+}
+
+// Files already cleaned up are reported as expired rather than dropped
+function buildBatchStatus(batchId, batch) {
+  const files = batch.jobIds.map((jobId, index) => {
+    const job = jobs.get(jobId);
+    if (!job) {
+      return { index, jobId, originalFilename: batch.filenames[index], status: 'expired' };
+    }
+    const jobStatus = buildJobStatus(jobId, job);
+    return {
+      index,
+      jobId,
+      originalFilename: job.originalFilename,
+      status: job.status,
+      overallProgress: jobStatus.overallProgress,
+      error: job.error,
+      versions: Object.fromEntries(Object.entries(job.versions).map(([versionKey, version]) => [versionKey, {
+        status: version.status,
+        progress: version.progress,
+        size: version.size,
+        sizeReadable: version.sizeReadable,
+        error: version.error
+      }]))
+    };
+  });
+
+  const activeJobs = batch.jobIds.map(jobId => jobs.get(jobId)).filter(Boolean);
+  const counts = {};
+  files.forEach(file => { counts[file.status] = (counts[file.status] || 0) + 1; });
+
+  return {
+    batchId,
+    status: activeJobs.length > 0 ? batchStatus(activeJobs) : 'expired',
+    fileCount: files.length,
+    overallProgress: Math.floor(files.reduce((total, file) => total + (file.overallProgress || 0), 0) / files.length),
+    counts,
+    createdTime: new Date(batch.createdTime).toISOString(),
+    files
+  };
+}
+
+// Folder for a source inside the batch ZIP: its position keeps same-named files apart
+function batchFolderName(index, originalFilename) {
+  return `${String(index + 1).padStart(3, '0')}_${safeFilename(path.parse(originalFilename).name)}`;
+}
+
+// One folder per source file with its versions, plus a manifest.json of the
+// presets used and every output, including the ones that failed
+function sendBatchArchive(req, res, batchId, batch) {
+  if (!canAccess(req, batch)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const batchJobs = batch.jobIds.map(jobId => jobs.get(jobId));
+  const allKeys = [...new Set(batchJobs.filter(Boolean).flatMap(job => Object.keys(job.versions)))];
+  const { versionKeys, error: selectionError } = parseVersionSelection(req.query.versions, allKeys);
+  if (selectionError) {
+    return res.status(400).json({ error: selectionError });
+  }
+
+  const manifest = {
+    batchId,
+    status: buildBatchStatus(batchId, batch).status,
+    createdTime: new Date(batch.createdTime).toISOString(),
+    presets: {},
+    files: []
+  };
+  const entries = [];
+
+  batch.jobIds.forEach((jobId, index) => {
+    const job = batchJobs[index];
+    const folder = batchFolderName(index, batch.filenames[index]);
+    const file = { folder, originalFilename: batch.filenames[index], jobId, status: job ? job.status : 'expired', versions: {} };
+    manifest.files.push(file);
+    if (!job) return;
+
+    for (const versionKey of versionKeys.filter(key => job.versions[key])) {
+      manifest.presets[versionKey] = manifest.presets[versionKey] || job.presets[versionKey];
+      const versionEntries = versionArchiveEntries(jobId, job, versionKey, `${folder}/`);
+      entries.push(...versionEntries);
+      file.versions[versionKey] = manifestVersion(job.versions[versionKey], versionEntries.length > 0 ? versionEntries[0].name : null);
+    }
+  });
+
+  if (entries.length === 0) {
+    return res.status(400).json({ error: 'No completed versions to download' });
+  }
+
+  const buffer = Buffer.from(JSON.stringify(manifest, null, 2));
+  sendZip(res, `${batchId}_${batch.jobIds.length}_files.zip`, [{ name: 'manifest.json', buffer }, ...entries]);
+}
+
+// ============================================
+// READINESS
+// ============================================
+
+// The health route reports whether this instance can take work: the ffmpeg
+// binaries fluent-ffmpeg will run (FFMPEG_PATH/FFPROBE_PATH) start, and the
+// working directories accept writes. Results are cached so probes stay cheap.
+const READINESS_CACHE_MS = 30 * 1000;
+const readinessCache = { checkedAt: 0, checks: null };
+
+function checkBinary(binary) {
+  return new Promise((resolve) => {
+    execFile(binary, ['-version'], { timeout: 5000 }, (err, stdout) => {
+      if (err) return resolve({ ok: false, error: err.message });
+      resolve({ ok: true, version: stdout.split('\n')[0].trim() });
+    });
+  });
+}
+
+function checkWritable(dir) {
+  const probePath = path.join(dir, `.ready_${process.pid}_${Date.now()}`);
+  try {
+    fs.writeFileSync(probePath, '');
+    fs.unlinkSync(probePath);
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+async function runReadinessChecks() {
+  if (!readinessCache.checks || Date.now() - readinessCache.checkedAt > READINESS_CACHE_MS) {
+    const [ffmpegCheck, ffprobeCheck] = await Promise.all([
+      checkBinary(process.env.FFMPEG_PATH || 'ffmpeg'),
+      checkBinary(process.env.FFPROBE_PATH || 'ffprobe')
+    ]);
+    readinessCache.checks = {
+      ffmpeg: ffmpegCheck,
+      ffprobe: ffprobeCheck,
+      disk: Object.fromEntries(['uploads', 'processed', DATA_DIR].map(dir => [dir, checkWritable(dir)]))
+    };
+    readinessCache.checkedAt = Date.now();
+  }
+
+  const { ffmpeg: ffmpegCheck, ffprobe: ffprobeCheck, disk } = readinessCache.checks;
+  const ready = ffmpegCheck.ok && ffprobeCheck.ok && Object.values(disk).every(check => check.ok);
+  return { ready, checks: readinessCache.checks };
+}
+
+// ============================================
+// ROUTES
+// ============================================
+
+// Health check
+app.get('/', async (req, res) => {
+  const { ready, checks } = await runReadinessChecks();
+
+  res.status(ready ? 200 : 503).json({ 
+    status: ready ? 'online' : 'degraded', 
+    checks,
+    service: 'Multi-Version Video Converter API',
+    version: '2.0.0',
+    endpoints: {
+      convert: '/api/convert',
+      convertMulti: '/api/convert-multi',
+      probe: 'POST /api/probe',
+      batch: 'POST /api/batch',
+      batchStatus: '/api/batch/:batchId',
+      status: '/api/job/:jobId',
+      events: '/api/job/:jobId/events',
+      cancel: 'DELETE /api/job/:jobId[/:versionKey]',
+      retry: 'POST /api/job/:jobId/retry',
+      links: 'POST /api/job/:jobId/links',
+      download: '/api/download/:jobId/:versionKey',
+      downloadAll: '/api/download-all/:jobId|:batchId',
+      stream: '/api/stream/:jobId/:versionKey/{hls/master.m3u8|dash/manifest.mpd}',
+      thumbnail: '/api/thumbnail/:jobId/:versionKey/{poster|sprite|vtt|preview}',
+      presets: '/api/presets',
+      outputProfiles: '/api/output-profiles',
+      encodings: '/api/encodings',
+      queue: '/api/queue',
+      uploads: '/api/uploads',
+      usage: '/api/usage',
+      destinations: '/api/destinations',
+      publish: 'POST /api/job/:jobId/publish',
+      storage: '/api/admin/storage',
+      purge: 'POST /api/admin/purge',
+      metrics: '/metrics'
+    },
+    authentication: AUTH_ENABLED ? 'api-key' : 'none'
+  });
+});
+
+// Prometheus scrape endpoint; sits outside /api so scrapers need no API key
+app.get('/metrics', async (req, res) => {
+  if (METRICS_TOKEN && req.get('Authorization') !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+
+  res.type('text/plain; version=0.0.4').send(await renderMetrics());
+});
+
+// Output geometries and fit modes accepted by the convert endpoints
+app.get('/api/output-profiles', (req, res) => {
+  res.json({ profiles: OUTPUT_PROFILES, fitModes: FIT_MODES, default: DEFAULT_OUTPUT_PROFILE });
+});
+
+// Codecs, containers and rate-control modes accepted in `encoding`, plus the
+// formats for mode=audio and the audio.track options for video versions
+app.get('/api/encodings', (req, res) => {
+  res.json({
+    videoCodecs: Object.keys(VIDEO_CODECS),
+    audioCodecs: Object.keys(AUDIO_CODECS),
+    containers: Object.fromEntries(Object.entries(CONTAINERS).map(([name, container]) => 
+      [name, { videoCodecs: container.videoCodecs, audioCodecs: container.audioCodecs }]
+    )),
+    modes: ENCODING_MODES,
+    default: DEFAULT_ENCODING,
+    audio: {
+      formats: Object.keys(AUDIO_FORMATS),
+      default: DEFAULT_AUDIO_OUTPUT,
+      tracks: AUDIO_TRACK_MODES
+    }
+  });
+});
+
+// List built-in and custom presets
+app.get('/api/presets', (req, res) => {
+  const builtIn = Object.entries(VERSION_PRESETS).map(([id, preset]) => ({ id, builtIn: true, ...preset }));
+  const custom = Object.entries(customPresets).map(([id, preset]) => ({ id, builtIn: false, ...preset }));
+  res.json({ presets: [...builtIn, ...custom] });
+});
+
+// Validate a preset without storing it
+app.post('/api/presets/validate', (req, res) => {
+  const errors = validatePreset(req.body);
+  res.json({ valid: errors.length === 0, errors });
+});
+
+app.get('/api/presets/:presetId', (req, res) => {
+  const preset = getPreset(req.params.presetId);
+
+  if (!preset) {
+    return res.status(404).json({ error: 'Preset not found' });
+  }
+
+  res.json({ id: req.params.presetId, builtIn: isBuiltInPreset(req.params.presetId), ...preset });
+});
+
+// Create a custom preset
+app.post('/api/presets', requireAdmin, (req, res) => {
+  const presetId = req.body && req.body.id;
+
+  if (typeof presetId !== 'string' || !PRESET_ID_PATTERN.test(presetId) || RESERVED_PRESET_ID_PATTERN.test(presetId)) {
+    return res.status(400).json({
+      error: 'Invalid preset',
+      details: [{ field: 'id', message: 'Must be 1-40 letters, digits, "-" or "_" and not a reserved version key' }]
+    });
+  }
+
+  if (getPreset(presetId)) {
+    return res.status(409).json({ error: 'Preset already exists' });
+  }
+
+  const errors = validatePreset(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid preset', details: errors });
+  }
+
+  customPresets[presetId] = normalizePreset(req.body);
+  saveCustomPresets();
+
+  res.status(201).json({ id: presetId, builtIn: false, ...customPresets[presetId] });
+});
+
+// Replace a custom preset
+app.put('/api/presets/:presetId', requireAdmin, (req, res) => {
+  const { presetId } = req.params;
+
+  if (isBuiltInPreset(presetId)) {
+    return res.status(403).json({ error: 'Built-in presets cannot be modified' });
+  }
+  if (!isCustomPreset(presetId)) {
+    return res.status(404).json({ error: 'Preset not found' });
+  }
+
+  const errors = validatePreset(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid preset', details: errors });
+  }
+
+  customPresets[presetId] = normalizePreset(req.body);
+  saveCustomPresets();
+
+  res.json({ id: presetId, builtIn: false, ...customPresets[presetId] });
+});
+
+app.delete('/api/presets/:presetId', requireAdmin, (req, res) => {
+  const { presetId } = req.params;
+
+  if (isBuiltInPreset(presetId)) {
+    return res.status(403).json({ error: 'Built-in presets cannot be deleted' });
+  }
+  if (!isCustomPreset(presetId)) {
+    return res.status(404).json({ error: 'Preset not found' });
+  }
+
+  delete customPresets[presetId];
+  saveCustomPresets();
+
+  res.json({ success: true, id: presetId });
+});
+
+// Start a resumable upload
+app.post('/api/uploads', checkDiskSpace, (req, res) => {
+  const { filename, size, mimeType, checksum } = req.body;
+  const totalSize = parseInt(size);
+
+  if (typeof filename !== 'string' || !filename) {
+    return res.status(400).json({ error: 'filename is required' });
+  }
+  if (!totalSize || totalSize < 1) {
+    return res.status(400).json({ error: 'size must be a positive number of bytes' });
+  }
+  if (totalSize > uploadLimit(req)) {
+    return res.status(413).json({ error: `File too large. Maximum size is ${Math.floor(uploadLimit(req) / 1024 / 1024)}MB.` });
+  }
+  if (mimeType && !mimeType.startsWith('video/') && !mimeType.startsWith('audio/')) {
+    return res.status(400).json({ error: 'Only video or audio files are allowed' });
+  }
+  if (checksum && !/^[a-f0-9]{64}$/i.test(checksum)) {
+    return res.status(400).json({ error: 'checksum must be a hex-encoded SHA-256 digest' });
+  }
+
+  const uploadId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  fs.writeFileSync(partialUploadPath(uploadId), '');
+
+  uploadSessions.set(uploadId, {
+    status: 'uploading',
+    filename,
+    size: totalSize,
+    offset: 0,
+    checksum: checksum ? checksum.toLowerCase() : null,
+    apiKeyId: req.apiKey ? req.apiKey.id : undefined,
+    createdTime: Date.now()
+  });
+
+  res.status(201)
+    .set('Location', `/api/uploads/${uploadId}`)
+    .json({ uploadId, offset: 0, size: totalSize, maxSize: uploadLimit(req) });
+});
+
+// Current offset, for resuming after a dropped connection
+app.head('/api/uploads/:uploadId', (req, res) => {
+  const session = uploadSessions.get(req.params.uploadId);
+  
+  if (!session) {
+    return res.status(404).end();
+  }
+
+  res.set({
+    'Upload-Offset': session.offset,
+    'Upload-Length': session.size,
+    'Cache-Control': 'no-store'
+  }).status(200).end();
+});
+
+app.get('/api/uploads/:uploadId', (req, res) => {
+  const session = uploadSessions.get(req.params.uploadId);
+  
+  if (!session) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+
+  res.json({
+    uploadId: req.params.uploadId,
+    status: session.status,
+    filename: session.filename,
+    offset: session.offset,
+    size: session.size,
+    probe: session.probe
+  });
+});
+
+// Append a chunk. Upload-Offset must match the stored offset; an optional
+// Upload-Checksum ("sha256 <base64>") is verified before the chunk is kept.
+app.patch('/api/uploads/:uploadId', checkDiskSpace, (req, res) => {
+  const { uploadId } = req.params;
+  const session = uploadSessions.get(uploadId);
+  
+  if (!session) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  if (session.status !== 'uploading') {
+    return res.status(409).json({ error: `Upload is already ${session.status}` });
+  }
+  if (session.busy) {
+    return res.status(409).json({ error: 'Another chunk is being written', offset: session.offset });
+  }
+
+  // Other content types would already have been consumed by the body parsers
+  if (!req.is('application/offset+octet-stream')) {
+    return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+  }
+
+  const offset = parseInt(req.get('Upload-Offset'));
+  if (offset !== session.offset) {
+    return res.status(409).json({ error: 'Upload-Offset does not match', offset: session.offset });
+  }
+
+  let expectedChecksum = null;
+  const checksumHeader = req.get('Upload-Checksum');
+  if (checksumHeader) {
+    const [algorithm, digest] = checksumHeader.split(' ');
+    if (algorithm !== 'sha256' || !digest) {
+      return res.status(400).json({ error: 'Upload-Checksum must be "sha256 <base64 digest>"' });
+    }
+    expectedChecksum = digest;
+  }
+
+  const partPath = partialUploadPath(uploadId);
+  const hash = crypto.createHash('sha256');
+  const output = fs.createWriteStream(partPath, { flags: 'a' });
+  let received = 0;
+  let failure = null;
+
+  session.busy = true;
+
+  // Drop whatever this request appended and report the error. The session may
+  // have been deleted meanwhile, taking the partial file with it.
+  const rollback = (status, error) => {
+    session.busy = false;
+    try {
+      fs.truncateSync(partPath, session.offset);
+    } catch (err) {
+      log.error('Upload rollback failed', { uploadId, error: err });
+      status = uploadSessions.get(uploadId) ? 500 : 410;
+      error = uploadSessions.get(uploadId) ? 'Upload rollback failed' : 'Upload was removed';
+    }
+    if (!res.headersSent) {
+      res.status(status).json({ error, offset: session.offset });
+    }
+  };
+
+  req.on('data', (chunk) => {
+    if (failure) return;
+
+    received += chunk.length;
+    if (session.offset + received > session.size) {
+      failure = { status: 413, error: 'Chunk exceeds the declared upload size' };
+      return;
+    }
+
+    hash.update(chunk);
+    if (!output.write(chunk)) {
+      req.pause();
+      output.once('drain', () => req.resume());
+    }
+  });
+
+  req.on('end', () => output.end());
+
+  req.on('aborted', () => {
+    failure = failure || { status: 400, error: 'Upload interrupted' };
+    output.end();
+  });
+
+  output.on('error', (err) => {
+    failure = { status: 500, error: err.message };
+  });
+
+  output.on('close', () => {
+    if (failure) {
+      return rollback(failure.status, failure.error);
+    }
+    if (expectedChecksum && hash.digest('base64') !== expectedChecksum) {
+      // tus uses 460 Checksum Mismatch for this case
+      return rollback(460, 'Chunk checksum mismatch');
+    }
+
+    session.offset += received;
+    session.busy = false;
+    uploadSessions.persist(uploadId);
+
+    res.status(204).set('Upload-Offset', session.offset).end();
+  });
+});
+
+// Verify and assemble a fully uploaded file
+app.post('/api/uploads/:uploadId/complete', async (req, res) => {
+  const { uploadId } = req.params;
+  const session = uploadSessions.get(uploadId);
+  
+  if (!session) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  if (session.status === 'completed') {
+    return res.json({ uploadId, status: session.status, size: session.size, probe: session.probe });
+  }
+  if (session.busy) {
+    return res.status(409).json({ error: 'Upload is being written or assembled' });
+  }
+  if (session.offset !== session.size) {
+    return res.status(409).json({ error: 'Upload is incomplete', offset: session.offset, size: session.size });
+  }
+
+  // Held until the file is assembled so a second complete or a chunk can't interleave
+  session.busy = true;
+  const partPath = partialUploadPath(uploadId);
+
+  try {
+    if (session.checksum) {
+      const hash = crypto.createHash('sha256');
+      await new Promise((resolve, reject) => {
+        fs.createReadStream(partPath)
+          .on('data', chunk => hash.update(chunk))
+          .on('end', resolve)
+          .on('error', reject);
+      });
+
+      if (hash.digest('hex') !== session.checksum) {
+        removeUploadSession(uploadId);
+        return res.status(422).json({ error: 'File checksum mismatch; upload discarded' });
+      }
+    }
+
+    session.path = path.join('uploads', `${uploadId}${path.extname(session.filename)}`);
+    fs.renameSync(partPath, session.path);
+    session.status = 'completed';
+    session.completedTime = Date.now();
+    // Probed once here so jobs using this upload don't have to; an unreadable
+    // file is still kept and reported when a job tries to use it
+    session.probe = await probeMedia(session.path).then(summarizeProbe, () => null);
+  } catch (err) {
+    log.error('Upload assembly failed', { uploadId, error: err });
+    return uploadSessions.get(uploadId)
+      ? res.status(500).json({ error: 'Upload could not be assembled' })
+      : res.status(409).json({ error: 'Upload was removed while completing' });
+  } finally {
+    session.busy = false;
+  }
+
+  if (!uploadSessions.get(uploadId)) {
+    return res.status(409).json({ error: 'Upload was removed while completing' });
+  }
+  uploadSessions.persist(uploadId);
+
+  log.info('Upload assembled', { uploadId, bytes: session.size });
+  res.json({ uploadId, status: session.status, size: session.size, probe: session.probe });
+});
+
+app.delete('/api/uploads/:uploadId', (req, res) => {
+  const session = uploadSessions.get(req.params.uploadId);
+  if (!session) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  if (session.busy) {
+    return res.status(409).json({ error: 'Upload is being written or assembled' });
+  }
+
+  removeUploadSession(req.params.uploadId);
+  res.json({ success: true });
+});
+
+// Inspect a source without starting a job: the same multipart `video`, uploadId,
+// sourceUrl or sourceJobId inputs as /api/convert-multi, checked against the
+// input rules for `mode` (video by default)
+app.post('/api/probe', checkDiskSpace, checkUploadSize, upload.single('video'), async (req, res) => {
+  const source = await resolveSource(req);
+  if (source.error) {
+    discardUpload(req);
+    return res.status(source.status).json({ error: source.error });
+  }
+
+  let probe = source.uploadId && uploadSessions.get(source.uploadId).probe;
+  try {
+    if (!probe) {
+      probe = summarizeProbe(await probeMedia(source.inputPath));
+    }
+  } catch (err) {
+    return res.status(422).json({ error: 'Source could not be read' });
+  } finally {
+    // Probing never keeps a file, except a completed upload that a job can still use
+    if (!source.uploadId) {
+      fs.rmSync(source.inputPath, { force: true });
+    }
+  }
+
+  const ruleError = checkSourceRules(probe, req.body.mode === 'audio' ? 'audio' : 'video');
+  res.json({
+    originalFilename: source.originalFilename,
+    accepted: !ruleError,
+    error: ruleError || undefined,
+    probe
+  });
+});
+
+// Legacy single conversion endpoint (for backward compatibility)
+app.post('/api/convert', checkDiskSpace, checkUploadSize, upload.single('video'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No video file uploaded' });
+  }
+  if (req.file.size > uploadLimit(req)) {
+    discardUpload(req);
+    return res.status(413).json({ error: `File too large. Maximum size is ${Math.floor(uploadLimit(req) / 1024 / 1024)}MB.` });
+  }
+
+  const callbackError = validateCallback(req.body.callbackUrl, req.body.callbackSecret);
+  if (callbackError) {
+    discardUpload(req);
+    return res.status(400).json({ error: callbackError });
+  }
+
+  const { outputProfile, error: profileError } = parseOutputProfile(req.body);
+  if (profileError) {
+    discardUpload(req);
+    return res.status(400).json({ error: profileError });
+  }
+
+  // The source is checked against the input rules, and its length counts towards
+  // the key's daily minutes
+  let probe;
+  try {
+    probe = summarizeProbe(await probeMedia(req.file.path));
+  } catch (err) {
+    discardUpload(req);
+    return res.status(422).json({ error: 'Source could not be read' });
+  }
+  const sourceRuleError = checkSourceRules(probe, 'video');
+  if (sourceRuleError) {
+    discardUpload(req);
+    return res.status(422).json({ error: sourceRuleError });
+  }
+  const minutes = req.apiKey ? Math.round(probe.duration / 60 * 100) / 100 : 0;
+
+  const quotaError = checkJobQuota(req, minutes);
+  if (quotaError) {
+    discardUpload(req);
+    return res.status(quotaError.status).set('Retry-After', String(quotaError.retryAfter)).json({ error: quotaError.error });
+  }
+
+  const jobId = `single_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const inputPath = req.file.path;
+  
+  jobs.set(jobId, {
+    status: 'queued',
+    versionCount: 1,
+    versions: {
+      version1: { status: 'pending', progress: 0, presetName: VERSION_PRESETS.version1.name }
+    },
+    presets: { version1: { ...VERSION_PRESETS.version1 } },
+    inputPath,
+    callback: buildCallback(req.body),
+    outputProfile,
+    probe,
+    apiKeyId: req.apiKey ? req.apiKey.id : undefined,
     startTime: Date.now(),
     originalFilename: req.file.originalname
   });
+  metrics.inputBytes.inc({}, req.file.size);
+  recordUsage(req.apiKey, minutes);
+
+  res.json({ 
+    jobId, 
+    message: 'Processing started',
+    versionCount: 1,
+    estimatedTime: '1-2 minutes'
+  });
+
+  processMultipleVersions(inputPath, jobId, ['version1']);
+});
+
+// Multi-version conversion endpoint
+app.post('/api/convert-multi', checkDiskSpace, checkUploadSize, convertUpload, async (req, res) => {
+  const { options, error: optionsError, details } = parseConversionOptions(req);
+  if (optionsError) {
+    discardUpload(req);
+    return res.status(400).json({ error: optionsError, details });
+  }
+
+  const source = await resolveSource(req);
+  if (source.error) {
+    discardUpload(req);
+    return res.status(source.status).json({ error: source.error });
+  }
+
+  // The source is probed once for every version, as are the clips
+  let inspected, intro, outro;
+  try {
+    inspected = await inspectSource(source, options);
+
+    const quotaError = checkJobQuota(req, inspected.minutes);
+    if (quotaError) {
+      throw Object.assign(sourceError(quotaError.status, quotaError.error), { retryAfter: quotaError.retryAfter });
+    }
+
+    if (options.introFile) intro = await probeClip(options.introFile, 'intro');
+    if (options.outroFile) outro = await probeClip(options.outroFile, 'outro');
+  } catch (err) {
+    discardUpload(req);
+    // Completed resumable uploads stay available for another attempt
+    if (!source.uploadId) {
+      fs.rmSync(source.inputPath, { force: true });
+    }
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
+    return res.status(err.status || 400).json({ error: err.message });
+  }
+
+  const jobId = createConversionJob(req, source, inspected, options, { intro, outro });
+  recordUsage(req.apiKey, inspected.minutes);
+
+  const job = jobs.get(jobId);
+  const versionCount = job.versionCount;
+  res.json({ 
+    jobId, 
+    message: `Processing started for ${versionCount} version${versionCount > 1 ? 's' : ''}`,
+    versionCount,
+    estimatedTime: versionCount === 1 ? '1-2 minutes' : `${versionCount}-${versionCount + 2} minutes`
+  });
+
+  // Process selected versions
+  processMultipleVersions(job.inputPath, jobId, Object.keys(job.presets));
+});
+
+// Batch conversion: the same presets and options for many sources, given as
+// multipart `videos` files and/or `uploadIds` of completed resumable uploads.
+// Every source becomes a job of its own under one batch.
+app.post('/api/batch', checkDiskSpace, checkUploadSize, batchUpload, async (req, res) => {
+  const { options, error: optionsError, details } = parseConversionOptions(req);
+  if (optionsError) {
+    discardUpload(req);
+    return res.status(400).json({ error: optionsError, details });
+  }
+
+  const files = (req.files && req.files.videos) || [];
+  const uploadIds = parseUploadIds(req.body.uploadIds);
+  if (!uploadIds || uploadIds.some(uploadId => typeof uploadId !== 'string')) {
+    discardUpload(req);
+    return res.status(400).json({ error: 'uploadIds must be a JSON array or comma-separated upload ids' });
+  }
+  if (new Set(uploadIds).size !== uploadIds.length) {
+    discardUpload(req);
+    return res.status(400).json({ error: 'uploadIds must not repeat' });
+  }
+  const fileCount = files.length + uploadIds.length;
+  if (fileCount === 0 || fileCount > MAX_BATCH_FILES) {
+    discardUpload(req);
+    return res.status(400).json({ error: `A batch needs 1 to ${MAX_BATCH_FILES} videos or uploadIds` });
+  }
+
+  // Every source is checked before any job is created, so a batch starts whole or not at all
+  const sources = [];
+  const errors = [];
+  for (const [i, file] of files.entries()) {
+    if (file.size > uploadLimit(req)) {
+      errors.push({ field: `videos[${i}]`, message: `File too large. Maximum size is ${Math.floor(uploadLimit(req) / 1024 / 1024)}MB.` });
+      continue;
+    }
+    sources.push({ field: `videos[${i}]`, inputPath: file.path, originalFilename: file.originalname });
+  }
+  for (const [i, uploadId] of uploadIds.entries()) {
+    const source = resolveUploadSource(req, uploadId);
+    if (source.error) {
+      errors.push({ field: `uploadIds[${i}]`, message: source.error });
+      continue;
+    }
+    sources.push({ field: `uploadIds[${i}]`, ...source });
+  }
+
+  const inspections = [];
+  for (const source of sources) {
+    try {
+      inspections.push(await inspectSource(source, options));
+    } catch (err) {
+      errors.push({ field: source.field, message: err.message });
+    }
+  }
+
+  if (errors.length > 0) {
+    discardUpload(req);
+    return res.status(422).json({ error: 'Some sources were rejected', details: errors });
+  }
+
+  const minutes = Math.round(inspections.reduce((total, inspected) => total + inspected.minutes, 0) * 100) / 100;
+  const quotaError = checkJobQuota(req, minutes);
+  if (quotaError) {
+    discardUpload(req);
+    return res.status(quotaError.status).set('Retry-After', String(quotaError.retryAfter)).json({ error: quotaError.error });
+  }
+
+  const batchId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const jobIds = sources.map((source, i) => {
+    recordUsage(req.apiKey, inspections[i].minutes);
+    return createConversionJob(req, source, inspections[i], options, { batchId });
+  });
+
+  // Each job copied the overlay assets it needs
+  for (const file of Object.values(options.overlayFiles)) {
+    if (file) fs.rmSync(file.path, { force: true });
+  }
+
+  batches.set(batchId, {
+    jobIds,
+    filenames: sources.map(source => source.originalFilename),
+    apiKeyId: req.apiKey ? req.apiKey.id : undefined,
+    createdTime: Date.now()
+  });
+
+  const versionCount = Object.keys(options.presets).length;
+  log.info('Batch created', { batchId, files: fileCount, versions: versionCount });
+
+  res.json({
+    batchId,
+    jobIds,
+    message: `Processing started for ${fileCount} file${fileCount > 1 ? 's' : ''} with ${versionCount} version${versionCount > 1 ? 's' : ''} each`,
+    fileCount,
+    versionCount
+  });
+
+  jobIds.forEach(jobId => processMultipleVersions(jobs.get(jobId).inputPath, jobId, Object.keys(options.presets)));
+});
+
+// Aggregate progress and per-file status of a batch
+app.get('/api/batch/:batchId', (req, res) => {
+  const batch = batches.get(req.params.batchId);
+
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+
+  res.json(buildBatchStatus(req.params.batchId, batch));
+});
+
+// Cancel every unfinished job of a batch
+app.delete('/api/batch/:batchId', (req, res) => {
+  const { batchId } = req.params;
+  const batch = batches.get(batchId);
+
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+
+  const cancelled = {};
+  for (const jobId of batch.jobIds) {
+    const job = jobs.get(jobId);
+    if (!job || (job.status !== 'queued' && job.status !== 'processing')) continue;
+
+    job.cancelRequested = true;
+    cancelled[jobId] = Object.keys(job.versions).filter(versionKey => cancelVersion(jobId, versionKey));
+  }
+
+  if (Object.keys(cancelled).length === 0) {
+    return res.status(409).json({ error: 'Batch has no unfinished jobs' });
+  }
+
+  res.json({ success: true, batchId, cancelled });
+});
+
+// Job status endpoint
+app.get('/api/job/:jobId', (req, res) => {
+  const job = jobs.get(req.params.jobId);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(buildJobStatus(req.params.jobId, job));
+});
+
+// Server-Sent Events stream of progress, status changes and final results
+app.get('/api/job/:jobId/events', (req, res) => {
+  const { jobId } = req.params;
+  const job = jobs.get(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+  const finish = () => {
+    res.write('event: end\ndata: {}\n\n');
+    res.end();
+  };
+
+  // Replay what the client missed, or start from a full snapshot if the log can't cover the gap
+  const eventLog = jobEventLogs.get(jobId) || { nextId: 1, events: [] };
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+  const missed = Number.isInteger(lastEventId) ? eventLog.events.filter(e => e.id > lastEventId) : null;
+  const canResume = missed && (missed.length === 0
+    ? lastEventId === eventLog.nextId - 1
+    : missed[0].id === lastEventId + 1);
+
+  if (canResume) {
+    missed.forEach(send);
+  } else {
+    send({ id: eventLog.nextId - 1, type: 'snapshot', data: { job: buildJobStatus(jobId, job) } });
+  }
+
+  if (FINAL_JOB_STATUSES.includes(job.status)) {
+    return finish();
+  }
+
+  const onEvent = (event) => {
+    send(event);
+    if (event.type.startsWith('job.') && FINAL_JOB_STATUSES.includes(event.type.slice(4))) {
+      cleanup();
+      finish();
+    }
+  };
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15 * 1000);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobEventBus.removeListener(jobId, onEvent);
+  };
+
+  jobEventBus.on(jobId, onEvent);
+  req.on('close', cleanup);
+});
+
+// Cancel every unfinished version of a job
+app.delete('/api/job/:jobId', (req, res) => {
+  const { jobId } = req.params;
+  const job = jobs.get(jobId);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (job.status !== 'queued' && job.status !== 'processing') {
+    return res.status(409).json({ error: `Job is already ${job.status}` });
+  }
+
+  job.cancelRequested = true;
+  const cancelled = Object.keys(job.versions).filter(versionKey => cancelVersion(jobId, versionKey));
+
+  res.json({ success: true, jobId, cancelled });
+});
+
+// Cancel a single version
+app.delete('/api/job/:jobId/:versionKey', (req, res) => {
+  const { jobId, versionKey } = req.params;
+  const job = jobs.get(jobId);
+  
+  if (!job || !job.versions[versionKey]) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+
+  if (!cancelVersion(jobId, versionKey)) {
+    return res.status(409).json({ error: `Version is already ${job.versions[versionKey].status}` });
+  }
+
+  res.json({ success: true, jobId, cancelled: [versionKey] });
+});
+
+// Re-run only the failed or interrupted versions of a finished job
+app.post('/api/job/:jobId/retry', (req, res) => {
+  const { jobId } = req.params;
+  const job = jobs.get(jobId);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (job.status === 'queued' || job.status === 'processing') {
+    return res.status(409).json({ error: 'Job is still running' });
+  }
+
+  const retryKeys = Object.keys(job.versions).filter(versionKey => 
+    ['failed', 'interrupted'].includes(job.versions[versionKey].status)
+  );
+
+  if (retryKeys.length === 0) {
+    return res.status(400).json({ error: 'No failed versions to retry' });
+  }
+
+  if (!job.inputPath || !fs.existsSync(job.inputPath)) {
+    return res.status(410).json({ error: 'Source file is no longer available' });
+  }
+  if (jobAssetPaths(job).some(assetPath => !fs.existsSync(assetPath))) {
+    return res.status(410).json({ error: 'An uploaded track, clip or overlay file is no longer available' });
+  }
+
+  retryKeys.forEach(versionKey => {
+    job.versions[versionKey] = { 
+      status: 'pending', 
+      progress: 0, 
+      presetName: job.versions[versionKey].presetName 
+    };
+  });
+  job.status = 'queued';
+  job.retryCount = (job.retryCount || 0) + 1;
+  delete job.cancelRequested;
+  delete job.error;
+  delete job.finishedTime;
+  jobs.persist(jobId);
+
+  res.json({ 
+    jobId, 
+    message: `Retrying ${retryKeys.length} version${retryKeys.length > 1 ? 's' : ''}`,
+    versions: retryKeys
+  });
+
+  processMultipleVersions(job.inputPath, jobId, retryKeys);
+});
+
+// Issue a signed, expiring URL for a version file, the ZIP of all versions or a thumbnail
+app.post('/api/job/:jobId/links', (req, res) => {
+  const { jobId } = req.params;
+  const job = jobs.get(jobId);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const { target = 'version', versionKey, asset } = req.body;
+  const expiresIn = req.body.expiresIn === undefined ? DEFAULT_LINK_TTL_SECONDS : Number(req.body.expiresIn);
+  const singleUse = req.body.singleUse === true || req.body.singleUse === 'true';
+
+  if (!LINK_TARGETS.includes(target)) {
+    return res.status(400).json({ error: `target must be one of: ${LINK_TARGETS.join(', ')}` });
+  }
+  if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > MAX_LINK_TTL_SECONDS) {
+    return res.status(400).json({ error: `expiresIn must be between 1 and ${MAX_LINK_TTL_SECONDS} seconds` });
+  }
+
+  let linkPath;
+  if (target === 'zip') {
+    if (!Object.values(job.versions).some(version => version.status === 'completed')) {
+      return res.status(400).json({ error: 'No completed versions to download' });
+    }
+    linkPath = `/api/download-all/${jobId}`;
+  } else {
+    const version = job.versions[versionKey];
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    if (version.status !== 'completed') {
+      return res.status(400).json({ error: 'Version not ready' });
+    }
+
+    if (target === 'thumbnail') {
+      const thumbnail = version.thumbnails && version.thumbnails[asset];
+      if (!THUMBNAIL_ASSETS.includes(asset) || !thumbnail || !thumbnail.filename) {
+        return res.status(404).json({ error: 'Thumbnail not found' });
+      }
+      linkPath = `/api/thumbnail/${jobId}/${versionKey}/${asset}`;
+    } else {
+      linkPath = `/api/download/${jobId}/${versionKey}`;
+    }
+  }
+
+  // Tokens carry whole seconds
+  const expiresAt = Math.floor((Date.now() + expiresIn * 1000) / 1000) * 1000;
+  const token = createLinkToken(linkPath, expiresAt, singleUse);
+  const baseUrl = PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+  res.status(201).json({
+    url: `${baseUrl}${linkPath}?token=${token}`,
+    target,
+    expiresAt: new Date(expiresAt).toISOString(),
+    singleUse
+  });
+});
+
+// Publish completed versions to a configured destination; progress is reported
+// on each version's publications and through version.published/publish_failed events
+app.post('/api/job/:jobId/publish', (req, res) => {
+  const { jobId } = req.params;
+  const job = jobs.get(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const { destination: destinationName, versionKey } = req.body;
+  const destination = destinations.get(destinationName);
+  if (!destination || !canUseDestination(req.apiKey, destination)) {
+    return res.status(400).json({ error: `Unknown destination: ${destinationName}` });
+  }
+
+  let versionKeys;
+  if (versionKey) {
+    const version = job.versions[versionKey];
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    if (version.status !== 'completed') {
+      return res.status(400).json({ error: 'Version not ready' });
+    }
+    versionKeys = [versionKey];
+  } else {
+    versionKeys = Object.keys(job.versions).filter(key => job.versions[key].status === 'completed');
+    if (versionKeys.length === 0) {
+      return res.status(400).json({ error: 'No completed versions to publish' });
+    }
+  }
+
+  const missing = versionKeys.find(key => !fs.existsSync(versionFilePath(job, job.versions[key])));
+  if (missing) {
+    return res.status(410).json({ error: 'Output files have been cleaned up', versionKey: missing });
+  }
+
+  versionKeys.forEach(key => publishVersion(jobId, key, destinationName));
+
+  res.status(202).json({
+    jobId,
+    destination: destinationName,
+    message: `Publishing ${versionKeys.length} version${versionKeys.length > 1 ? 's' : ''} to ${destinationName}`,
+    versions: versionKeys
+  });
+});
+
+// Queue depth and active workers; individual entries only for the caller's own jobs
+app.get('/api/queue', (req, res) => {
+  const visible = (task) => {
+    const job = jobs.get(task.jobId);
+    return job && canAccess(req, job);
+  };
+
+  res.json({
+    concurrency: MAX_CONCURRENT_ENCODES,
+    ordering: QUEUE_ORDERING,
+    depth: encodeQueue.pending.length,
+    activeWorkers: encodeQueue.active.size,
+    active: Array.from(encodeQueue.active.values()).filter(visible).map(task => ({
+      jobId: task.jobId,
+      versionKey: task.versionKey,
+      runningFor: Math.floor((Date.now() - task.startedAt) / 1000) + 's'
+    })),
+    queued: encodeQueue.pending.map((task, index) => ({
+      jobId: task.jobId,
+      versionKey: task.versionKey,
+      priority: task.priority,
+      position: index + 1,
+      waitingFor: Math.floor((Date.now() - task.enqueuedAt) / 1000) + 's'
+    })).filter(visible)
+  });
+});
+
+// Configured destinations this key may publish to; settings and credentials stay private
+app.get('/api/destinations', (req, res) => {
+  res.json({
+    destinations: [...destinations.values()]
+      .filter(destination => canUseDestination(req.apiKey, destination))
+      .map(destination => ({ name: destination.name, type: destination.type }))
+  });
+});
+
+// The calling key's limits and what it has used today
+app.get('/api/usage', (req, res) => {
+  if (!req.apiKey) {
+    return res.json({ authentication: 'none' });
+  }
+
+  const usage = getUsage(req.apiKey);
+  const running = runningJobCount(req.apiKey);
+
+  res.json({
+    apiKeyId: req.apiKey.id,
+    day: usage.day,
+    limits: {
+      maxConcurrentJobs: req.apiKey.maxConcurrentJobs,
+      dailyMinutes: req.apiKey.dailyMinutes,
+      maxUploadSizeMB: req.apiKey.maxUploadSizeMB,
+      requestsPerMinute: req.apiKey.requestsPerMinute
+    },
+    usage: {
+      runningJobs: running,
+      jobsToday: usage.jobs,
+      minutesToday: usage.minutes,
+      minutesRemaining: Math.max(0, Math.round((req.apiKey.dailyMinutes - usage.minutes) * 100) / 100)
+    }
+  });
+});
+
+// Disk usage, what jobs hold by status and key, and the retention policy
+app.get('/api/admin/storage', requireAdmin, async (req, res) => {
+  const byStatus = {};
+  const byApiKey = {};
+  const add = (groups, name, bytes) => {
+    groups[name] = groups[name] || { jobs: 0, bytes: 0 };
+    groups[name].jobs += 1;
+    groups[name].bytes += bytes;
+  };
+  for (const [jobId, job] of [...jobs.entries()]) {
+    const bytes = await jobStorageBytes(jobId, job);
+    add(byStatus, job.status, bytes);
+    add(byApiKey, job.apiKeyId || 'anonymous', bytes);
+  }
+
+  const directories = {};
+  for (const dir of ['uploads', 'processed/videos', 'processed/audio', 'processed/images', 'processed/streams', 'processed/analysis']) {
+    directories[dir] = await directorySize(dir);
+  }
+  const orphans = await findOrphans(ORPHAN_GRACE_MS);
+  const volumes = await diskStatus();
+
+  res.json({
+    disk: {
+      highWatermarkPercent: DISK_HIGH_WATERMARK_PERCENT,
+      acceptingUploads: volumes.every(volume => volume.usedPercent < DISK_HIGH_WATERMARK_PERCENT),
+      volumes
+    },
+    directories,
+    jobs: { byStatus, byApiKey },
+    uploadSessions: [...uploadSessions.values()].length,
+    orphans: { files: orphans.length, bytes: orphans.reduce((total, orphan) => total + orphan.bytes, 0) },
+    retention: {
+      hours: RETENTION_HOURS,
+      apiKeys: Object.fromEntries([...apiKeys.values()]
+        .filter(apiKey => apiKey.retentionHours)
+        .map(apiKey => [apiKey.id, apiKey.retentionHours])),
+      cleanupIntervalMinutes: CLEANUP_INTERVAL_MS / 60000,
+      orphanGraceMinutes: ORPHAN_GRACE_MS / 60000
+    },
+    lastCleanup
+  });
+});
+
+// Remove finished jobs now. Without olderThanHours the retention policy decides,
+// otherwise every matching job finished at least that long ago goes.
+app.post('/api/admin/purge', requireAdmin, async (req, res) => {
+  const { purge, errors } = parsePurgeRequest(req.body || {});
+  if (errors) {
+    return res.status(400).json({ error: 'Invalid purge request', details: errors });
+  }
+
+  const now = Date.now();
+  const isDue = purge.olderThanHours === undefined
+    ? (job) => jobExpiresAt(job) <= now
+    : (job) => (job.finishedTime || job.completedTime || now) <= now - purge.olderThanHours * 60 * 60 * 1000;
+  const removed = await removeJobs(job => 
+    (!purge.statuses || purge.statuses.includes(job.status)) &&
+    (!purge.apiKeyId || job.apiKeyId === purge.apiKeyId) &&
+    isDue(job),
+  { dryRun: purge.dryRun });
+  const orphans = purge.orphans
+    ? await removeOrphans(ORPHAN_GRACE_MS, { dryRun: purge.dryRun })
+    : { files: [], bytes: 0 };
+
+  log.info(purge.dryRun ? 'Storage purge previewed' : 'Storage purged', {
+    apiKeyId: req.apiKey ? req.apiKey.id : undefined,
+    jobs: removed.jobIds.length,
+    orphans: orphans.files.length,
+    freedBytes: removed.bytes + orphans.bytes
+  });
+  res.json({
+    dryRun: purge.dryRun,
+    jobs: { removed: removed.jobIds, bytes: removed.bytes },
+    orphans,
+    freedBytes: removed.bytes + orphans.bytes
+  });
+});
+
+// Download individual version
+app.get('/api/download/:jobId/:versionKey', (req, res) => {
+  const { jobId, versionKey } = req.params;
+  const job = jobs.get(jobId);
+  
+  if (!job || !job.versions[versionKey]) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+
+  const version = job.versions[versionKey];
+  
+  if (version.status !== 'completed') {
+    return res.status(400).json({ error: 'Version not ready' });
+  }
+
+  const filePath = versionFilePath(job, version);
+  
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  const { extension, contentType } = versionOutputFormat(job, version);
+  const downloadName = job.versionCount === 1 
+    ? `${path.parse(job.originalFilename).name}_converted${extension}`
+    : `${path.parse(job.originalFilename).name}_${versionKey}${extension}`;
+  
+  res.download(filePath, downloadName, { headers: { 'Content-Type': contentType } }, (err) => {
+    if (err) {
+      log.error('Download failed', { jobId, versionKey, error: err });
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Download failed' });
+      }
+    }
+  });
+});
+
+// Download all versions as ZIP; for a batch id, every file's versions
+app.get('/api/download-all/:jobId', async (req, res) => {
+  const batch = batches.get(req.params.jobId);
+  if (batch) {
+    return sendBatchArchive(req, res, req.params.jobId, batch);
+  }
+
+  const job = jobs.get(req.params.jobId);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const { versionKeys, error: selectionError } = parseVersionSelection(req.query.versions, Object.keys(job.versions));
+  if (selectionError) {
+    return res.status(400).json({ error: selectionError });
+  }
+
+  // If only 1 version without a streaming package, redirect to single download,
+  // handing a signed link holder a short-lived link for the file itself
+  if (job.versionCount === 1 && !job.streaming && job.versions[versionKeys[0]].status === 'completed') {
+    const downloadPath = `/api/download/${req.params.jobId}/${versionKeys[0]}`;
+    return res.redirect(req.signedLink
+      ? `${downloadPath}?token=${createLinkToken(downloadPath, Date.now() + 60 * 1000, false)}`
+      : downloadPath);
+  }
+
+  // Whatever has completed so far, with a manifest of the selected versions
+  // that says why the others are missing
+  const manifest = {
+    jobId: req.params.jobId,
+    status: job.status,
+    originalFilename: job.originalFilename,
+    presets: {},
+    versions: {}
+  };
+  const entries = [];
+
+  for (const versionKey of versionKeys) {
+    const versionEntries = versionArchiveEntries(req.params.jobId, job, versionKey);
+    entries.push(...versionEntries);
+    manifest.presets[versionKey] = job.presets[versionKey];
+    manifest.versions[versionKey] = manifestVersion(job.versions[versionKey], versionEntries.length > 0 ? versionEntries[0].name : null);
+  }
+
+  if (entries.length === 0) {
+    return res.status(400).json({ error: 'No completed versions to download' });
+  }
+
+  const zipName = job.versionCount === 1
+    ? `${path.parse(job.originalFilename).name}_package.zip`
+    : `${path.parse(job.originalFilename).name}_${versionKeys.length}_versions.zip`;
+  const buffer = Buffer.from(JSON.stringify(manifest, null, 2));
+  sendZip(res, zipName, [{ name: 'manifest.json', buffer }, ...entries]);
+});
+
+// Poster, sprite sheet, WebVTT thumbnails track or animated preview of a version
+app.get('/api/thumbnail/:jobId/:versionKey/:asset', (req, res) => {
+  const { jobId, versionKey, asset } = req.params;
+  const job = jobs.get(jobId);
+  const version = job && job.versions[versionKey];
+  const thumbnail = version && version.thumbnails && version.thumbnails[asset];
+  
+  if (!THUMBNAIL_ASSETS.includes(asset) || !thumbnail || !thumbnail.filename) {
+    return res.status(404).json({ error: 'Thumbnail not found' });
+  }
+
+  const filePath = thumbnailPath(thumbnail.filename);
+  
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  res.type(THUMBNAIL_CONTENT_TYPES[path.extname(filePath)]);
+
+  // Players fetch cue images without the key or token the track was loaded with,
+  // so with keys enabled each cue gets its own signed link to the sprite
+  if (asset === 'vtt' && AUTH_ENABLED) {
+    const spritePath = `/api/thumbnail/${jobId}/${versionKey}/sprite`;
+    const token = createLinkToken(spritePath, Date.now() + DEFAULT_LINK_TTL_SECONDS * 1000, false);
+    return res.send(fs.readFileSync(filePath, 'utf8').split(`${spritePath}#`).join(`${spritePath}?token=${token}#`));
+  }
+
+  res.sendFile(path.resolve(filePath));
+});
+
+// Serve HLS/DASH playlists and segments
+app.get('/api/stream/:jobId/:versionKey/*', (req, res) => {
+  const { jobId, versionKey } = req.params;
+  const job = jobs.get(jobId);
+  
+  if (!job || !job.versions[versionKey] || !job.versions[versionKey].streaming) {
+    return res.status(404).json({ error: 'Stream not found' });
+  }
+
+  const contentType = STREAM_CONTENT_TYPES[path.extname(req.params[0]).toLowerCase()];
+
+  // `root` makes send reject paths that escape the version's stream directory
+  res.sendFile(req.params[0], {
+    root: path.resolve(streamDirectory(jobId, versionKey)),
+    headers: contentType ? { 'Content-Type': contentType } : {}
+  }, (err) => {
+    if (err && !res.headersSent) {
+      res.status(err.status || 404).json({ error: 'File not found' });
+    }
+  });
+});
+
+// Upload to Mixpost endpoint. Superseded by configured destinations
+// (POST /api/job/:jobId/publish); kept for clients that pass credentials per call.
+app.post('/api/upload-to-mixpost', async (req, res) => {
+  const { jobId, versionKey, mixpostUrl, mixpostToken } = req.body;
+  
+  if (!jobId || !versionKey || !mixpostUrl || !mixpostToken) {
+    return res.status(400).json({ error: 'Missing required parameters' });
+  }
+
+  const job = jobs.get(jobId);
+  
+  if (!job || !job.versions[versionKey] || !canAccess(req, job)) {
+    return res.status(404).json({ error: 'Version not found' });
+  }
+
+  const version = job.versions[versionKey];
+  
+  if (version.status !== 'completed') {
+    return res.status(400).json({ error: 'Version not ready' });
+  }
+
+  const filePath = versionFilePath(job, version);
+  
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  try {
+    const formData = new FormData();
+    formData.append('file', fs.createReadStream(filePath));
+    formData.append('name', `${job.originalFilename}_${versionKey}`);
+
+    const response = await fetch(`${mixpostUrl}/api/media`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${mixpostToken}`,
+        ...formData.getHeaders()
+      },
+      body: formData
+    });
+
+    const data = await response.json();
+
+    if (response.ok) {
+      log.info('Uploaded version to Mixpost', { jobId, versionKey });
+      res.json({ 
+        success: true, 
+        message: 'Uploaded to Mixpost successfully',
+        mixpostResponse: data 
+      });
+    } else {
+      log.error('Mixpost upload failed', { jobId, versionKey, response: data });
+      res.status(response.status).json({ 
+        error: 'Mixpost upload failed', 
+        details: data 
+      });
+    }
+  } catch (error) {
+    log.error('Mixpost upload failed', { jobId, versionKey, error });
+    res.status(500).json({ 
+      error: 'Failed to upload to Mixpost', 
+      details: error.message 
+    });
+  }
+});
+
+// ============================================
+// PROCESSING FUNCTIONS
+// ============================================
+
+async function processMultipleVersions(inputPath, jobId, versionKeys) {
+  const job = jobs.get(jobId);
+  
+  log.info('Job processing started', { jobId, versions: versionKeys });
+  
+  // Queue selected versions; the queue decides how many encode at once
+  const versionPromises = versionKeys.map(versionKey => {
+    job.versions[versionKey].status = 'queued';
+    return enqueueEncode(jobId, versionKey, job.priority || 0, () => 
+      processVersionVariation(inputPath, jobId, versionKey)
+    );
+  });
+  jobs.persist(jobId);
+
+  // Wait for every version so the source isn't removed while others still need it
+  await Promise.allSettled(versionPromises);
+
+  // Update job status
+  job.status = settleJobStatus(job);
+  job.finishedTime = Date.now();
+  job.processingDuration = job.finishedTime - job.startTime;
+
+  if (job.status === 'completed') {
+    job.completedTime = job.finishedTime;
+    delete job.error;
+    log.info('Job completed', { jobId, versions: versionKeys.length, durationMs: job.processingDuration });
+  } else if (job.status === 'failed') {
+    const failedVersion = Object.values(job.versions).find(v => v.status === 'failed');
+    job.error = failedVersion ? failedVersion.error : 'Processing failed';
+    log.error('Job failed', { jobId, error: job.error });
+  } else {
+    log.info('Job cancelled', { jobId });
+  }
+  jobs.persist(jobId);
+  metrics.jobsFinished.inc({ status: job.status });
+  emitJobEvent(jobId, `job.${job.status}`);
+
+  // The source stays while any version can still be retried, including versions
+  // that failed before the rest of the job was cancelled
+  if (!hasRetryableVersions(job)) {
+    setTimeout(() => removeJobSource(jobId, job), 1000);
+  }
+}
+
+function hasRetryableVersions(job) {
+  return Object.values(job.versions).some(version => ['failed', 'interrupted'].includes(version.status));
+}
+
+function settleJobStatus(job) {
+  const statuses = Object.values(job.versions).map(v => v.status);
+
+  if (job.cancelRequested) return 'cancelled';
+  if (statuses.includes('failed') || statuses.includes('interrupted')) return 'failed';
+  if (statuses.includes('completed')) return 'completed';
+  return 'cancelled';
+}
+
+// Cleanup original file
+function removeJobSource(jobId, job) {
+  try {
+    if (job.inputPath && fs.existsSync(job.inputPath)) {
+      fs.unlinkSync(job.inputPath);
+      log.debug('Removed job source', { jobId });
+    }
+    for (const extraPath of jobAssetPaths(job)) {
+      if (fs.existsSync(extraPath)) {
+        fs.unlinkSync(extraPath);
+      }
+    }
+  } catch (err) {
+    log.error('Job source cleanup failed', { jobId, error: err });
+  }
+}
+
+// Uploaded tracks, clips and overlay files a job keeps next to its source
+function jobAssetPaths(job) {
+  const paths = [job.audioTrackPath, job.intro && job.intro.path, job.outro && job.outro.path];
+  for (const versionOverlays of Object.values(job.overlays || {})) {
+    paths.push(versionOverlays.watermark && versionOverlays.watermark.path);
+    paths.push(versionOverlays.subtitles && versionOverlays.subtitles.path);
+    paths.push(...(versionOverlays.text || []).map(caption => caption.textFile));
+  }
+  return [...new Set(paths.filter(Boolean))];
+}
+
+function cancelledError() {
+  const error = new Error('Cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+// Stop a queued or running version; returns false if it had already finished
+function cancelVersion(jobId, versionKey) {
+  const job = jobs.get(jobId);
+  const version = job.versions[versionKey];
+
+  if (!['pending', 'queued', 'processing', 'packaging', 'analyzing'].includes(version.status)) {
+    return false;
+  }
+
+  version.status = 'cancelled';
+  version.error = 'Cancelled by request';
+
+  const queueIndex = encodeQueue.pending.findIndex(task => 
+    task.jobId === jobId && task.versionKey === versionKey
+  );
+  if (queueIndex !== -1) {
+    const [task] = encodeQueue.pending.splice(queueIndex, 1);
+    task.reject(cancelledError());
+  }
+
+  // The command's error handler removes partial outputs once ffmpeg exits
+  const command = activeCommands.get(`${jobId}:${versionKey}`);
+  if (command) {
+    command.kill('SIGKILL');
+  }
+
+  jobs.persist(jobId);
+  emitJobEvent(jobId, 'version.cancelled', versionKey);
+  log.info('Version cancelled', { jobId, versionKey });
+  return true;
+}
+
+async function processVersionVariation(inputPath, jobId, versionKey) {
+  const job = jobs.get(jobId);
+  const preset = job.presets[versionKey];
+  const encoding = (job.encodings && job.encodings[versionKey]) || DEFAULT_ENCODING;
+  const audioOnly = job.mode === 'audio';
+  const extension = audioOnly ? AUDIO_FORMATS[job.audioOutput.format].extension : CONTAINERS[encoding.container].extension;
+  const outputFilename = `${jobId}_${versionKey}${extension}`;
+  const outputPath = versionFilePath(job, { filename: outputFilename });
+
+  job.versions[versionKey].status = 'processing';
+  job.versions[versionKey].startedAt = Date.now();
+  if (job.status === 'queued') {
+    job.status = 'processing';
+  }
+  jobs.persist(jobId);
+  emitJobEvent(jobId, 'version.processing', versionKey);
+  
+  return new Promise((resolve, reject) => {
+    sourceProbe(job, inputPath, (err, probe) => {
+      if (err) {
+        metrics.ffmpegFailures.inc({ class: classifyFfmpegError(err.message) });
+        log.error('Version failed', { jobId, versionKey, error: err });
+        job.versions[versionKey].status = 'failed';
+        job.versions[versionKey].error = err.message;
+        jobs.persist(jobId);
+        emitJobEvent(jobId, 'version.failed', versionKey);
+        return reject(err);
+      }
+
+      const hasAudio = probe.hasAudio;
+      if (audioOnly ? !hasAudio : !probe.video) {
+        const error = new Error(audioOnly ? 'No audio stream found' : 'No video stream found');
+        job.versions[versionKey].status = 'failed';
+        job.versions[versionKey].error = error.message;
+        jobs.persist(jobId);
+        emitJobEvent(jobId, 'version.failed', versionKey);
+        return reject(error);
+      }
+
+      // Cancelled while probing
+      if (job.versions[versionKey].status === 'cancelled') {
+        return reject(cancelledError());
+      }
+
+      // Crop and fit into the requested output frame
+      const outputProfile = job.outputProfile || DEFAULT_OUTPUT_PROFILE;
+      const geometry = audioOnly ? null : buildGeometryFilter(probe.video.width, probe.video.height, preset.cropPercent, outputProfile);
+
+      // A replacement or mixed-in track means the output has audio even if the source has none
+      const soundtrack = job.soundtrack || { track: 'keep' };
+      const outputHasAudio = soundtrack.track === 'keep' ? hasAudio : soundtrack.track !== 'mute';
+
+      const commandKey = `${jobId}:${versionKey}`;
+
+      const completeVersion = () => {
+        const stats = fs.statSync(outputPath);
+        job.versions[versionKey].status = 'completed';
+        job.versions[versionKey].progress = 100;
+        job.versions[versionKey].filename = outputFilename;
+        job.versions[versionKey].size = stats.size;
+        job.versions[versionKey].sizeReadable = formatBytes(stats.size);
+        job.versions[versionKey].description = preset.description;
+        job.versions[versionKey].duration = Number(outputDuration.toFixed(3));
+        if (audioOnly) {
+          job.versions[versionKey].audio = job.audioOutput;
+        } else {
+          job.versions[versionKey].outputProfile = {
+            ...outputProfile,
+            width: geometry.width,
+            height: geometry.height
+          };
+          job.versions[versionKey].encoding = videoBitrate ? { ...encoding, videoBitrate } : encoding;
+          job.versions[versionKey].audioTrack = soundtrack.track;
+        }
+        jobs.persist(jobId);
+
+        const encodeSeconds = (Date.now() - job.versions[versionKey].startedAt) / 1000;
+        metrics.encodeDuration.observe({ preset: versionKey }, encodeSeconds);
+        if (outputDuration && encodeSeconds > 0) {
+          metrics.realtimeFactor.observe({ preset: versionKey }, outputDuration / encodeSeconds);
+        }
+        metrics.outputBytes.inc({}, stats.size);
+        log.info('Version completed', { jobId, versionKey, bytes: stats.size, durationMs: Math.round(encodeSeconds * 1000) });
+        emitJobEvent(jobId, 'version.completed', versionKey);
+        (job.publish || []).forEach(name => publishVersion(jobId, versionKey, name));
+        resolve();
+      };
+
+      const failVersion = (err) => {
+        if (job.versions[versionKey].status === 'cancelled') {
+          return reject(cancelledError());
+        }
+
+        const errorClass = classifyFfmpegError(err.message);
+        metrics.ffmpegFailures.inc({ class: errorClass });
+        log.error('Version failed', { jobId, versionKey, errorClass, error: err });
+        job.versions[versionKey].status = 'failed';
+        job.versions[versionKey].error = err.message;
+        jobs.persist(jobId);
+        emitJobEvent(jobId, 'version.failed', versionKey);
+        reject(err);
+      };
+
+      // Two-pass size targets derive the bitrate from the output duration
+      // Expected output length: the cut (or whole source) at preset speed plus any clips
+      const twoPass = !audioOnly && encoding.mode === 'size';
+      const mainDuration = (job.cut ? job.cut.duration : probe.duration) / preset.speed;
+      const outputDuration = mainDuration + [job.intro, job.outro].reduce((total, clip) => total + (clip ? clip.duration : 0), 0);
+      let videoBitrate = null;
+      if (twoPass) {
+        if (!outputDuration) {
+          return failVersion(new Error('Cannot target a file size without a known duration'));
+        }
+        videoBitrate = bitrateForTargetSize(encoding, outputDuration);
+      }
+      const passLogFile = path.join(os.tmpdir(), `${jobId}_${versionKey}_2pass`);
+
+      const buildCommand = (pass) => {
+        if (audioOnly) {
+          const audioGraph = buildAudioGraph(preset, job.cut);
+          return ffmpeg(inputPath)
+            .complexFilter(audioGraph.graph, audioGraph.outputs)
+            .outputOptions(buildAudioOutputOptions(job.audioOutput));
+        }
+
+        // The first pass of a two-pass encode only needs video
+        const command = ffmpeg(inputPath);
+        const graphOptions = { hasAudio, cut: job.cut, soundtrack: { track: 'mute' } };
+        let nextInput = 1;
+
+        // The music track loops until it is trimmed to the length of the main part
+        if (pass !== 1) {
+          graphOptions.soundtrack = { ...soundtrack, duration: mainDuration };
+          if (soundtrack.track === 'replace' || soundtrack.track === 'mix') {
+            command.input(job.audioTrackPath).inputOptions('-stream_loop', '-1');
+            command.outputOptions('-shortest');
+            graphOptions.soundtrack.input = nextInput++;
+          }
+        }
+        for (const name of ['intro', 'outro']) {
+          if (job[name]) {
+            command.input(job[name].path);
+            graphOptions[name] = { ...job[name], input: nextInput++ };
+          }
+        }
+
+        const versionOverlays = job.overlays && job.overlays[versionKey];
+        if (versionOverlays) {
+          graphOptions.overlays = { ...versionOverlays };
+          if (versionOverlays.watermark) {
+            command.input(versionOverlays.watermark.path);
+            graphOptions.overlays.watermark = { ...versionOverlays.watermark, input: nextInput++ };
+          }
+        }
+
+        const filterGraph = buildFilterGraph(preset, geometry, graphOptions);
+
+        return command
+          .complexFilter(filterGraph.graph, filterGraph.outputs)
+          .outputOptions(buildEncodingOptions(encoding, { videoBitrate, pass, passLogFile }))
+          .outputOptions([
+            '-avoid_negative_ts make_zero',
+            '-max_muxing_queue_size 1024'
+          ]);
+      };
+
+      // Progress is measured against the expected output length, since trims, speed
+      // and clips make the input duration meaningless. With two passes, each pass
+      // accounts for half of the reported progress.
+      const onProgress = (offset, scale) => (progress) => {
+        const encodedPercent = outputDuration
+          ? timemarkSeconds(progress.timemark) / outputDuration * 100
+          : progress.percent || 0;
+        const percent = Math.min(99, Math.max(0, Math.floor(offset + encodedPercent * scale)));
+        if (percent === job.versions[versionKey].progress) return;
+        job.versions[versionKey].progress = percent;
+        emitProgressEvent(jobId, versionKey);
+        
+        if (percent % 25 === 0 && percent > 0) {
+          log.debug('Version progress', { jobId, versionKey, percent });
+        }
+      };
+
+      // Optional streaming package, thumbnails and uniqueness report, made from the finished encode
+      const postProcessVersion = async () => {
+        if (job.streaming) {
+          job.versions[versionKey].status = 'packaging';
+          jobs.persist(jobId);
+          emitJobEvent(jobId, 'version.packaging', versionKey);
+
+          job.versions[versionKey].streaming = await packageStreams(jobId, versionKey, outputPath, geometry, outputHasAudio);
+        }
+
+        if (job.thumbnails) {
+          job.versions[versionKey].thumbnails = await generateThumbnails(jobId, versionKey, outputPath, geometry, outputDuration);
+        }
+
+        // Runs last so a version that fails the threshold is never published
+        if (job.uniqueness && mainDuration) {
+          job.versions[versionKey].status = 'analyzing';
+          jobs.persist(jobId);
+          emitJobEvent(jobId, 'version.analyzing', versionKey);
+
+          await analyzeUniqueness(jobId, versionKey, outputPath, {
+            preset,
+            geometry,
+            offset: !audioOnly && job.intro ? job.intro.duration : 0,
+            mainDuration,
+            withVideo: !audioOnly,
+            withAudio: hasAudio && outputHasAudio
+          });
+        }
+
+        if (job.versions[versionKey].status === 'cancelled') {
+          throw cancelledError();
+        }
+      };
+
+      const runEncode = () => {
+        // Start FFmpeg processing
+        const command = buildCommand(twoPass ? 2 : null);
+        activeCommands.set(commandKey, command);
+
+        command
+          .output(outputPath)
+          .on('start', (commandLine) => {
+            log.info('Encode started', {
+              jobId,
+              versionKey,
+              preset: preset.name,
+              speed: preset.speed,
+              encoding: audioOnly ? job.audioOutput : encoding
+            });
+            log.debug('ffmpeg command', { jobId, versionKey, commandLine });
+          })
+          .on('progress', onProgress(twoPass ? 50 : 0, twoPass ? 0.5 : 1))
+          .on('end', () => {
+            activeCommands.delete(commandKey);
+            if (twoPass) removePassLogs(passLogFile);
+
+            postProcessVersion()
+              .then(completeVersion)
+              .catch((err) => {
+                removePartialOutput(outputPath);
+                fs.rmSync(streamDirectory(jobId, versionKey), { recursive: true, force: true });
+                removeThumbnails(job.versions[versionKey]);
+                failVersion(err);
+              });
+          })
+          .on('error', (err) => {
+            activeCommands.delete(commandKey);
+            if (twoPass) removePassLogs(passLogFile);
+            removePartialOutput(outputPath);
+            failVersion(err);
+          })
+          .run();
+      };
+
+      if (!twoPass) {
+        return runEncode();
+      }
+
+      // First pass only writes the rate-control log
+      const firstPass = buildCommand(1)
+        .output(os.devNull)
+        .on('progress', onProgress(0, 0.5));
+
+      runFfmpeg(firstPass, commandKey)
+        .then(() => {
+          if (job.versions[versionKey].status === 'cancelled') {
+            throw cancelledError();
+          }
+          runEncode();
+        })
+        .catch((err) => {
+          removePassLogs(passLogFile);
+          failVersion(err);
+        });
+    });
+  });
+}
 
-  res.json({ 
-    jobId, 
-    message: `Processing started for ${versionCount} version${versionCount > 1 ? 's' : ''}`,
-    versionCount,
-    estimatedTime: versionCount === 1 ? '1-2 minutes' : `${versionCount}-${versionCount + 2} minutes`
+// Two-pass encoders write their stats next to the given prefix
+function removePassLogs(passLogFile) {
+  const prefix = path.basename(passLogFile);
+  for (const file of fs.readdirSync(path.dirname(passLogFile))) {
+    if (file.startsWith(prefix)) {
+      fs.rmSync(path.join(path.dirname(passLogFile), file), { force: true });
+    }
+  }
+}
+
+function removePartialOutput(outputPath) {
+  try {
+    if (fs.existsSync(outputPath)) {
+      fs.unlinkSync(outputPath);
+    }
+  } catch (err) {
+    log.error('Partial output cleanup failed', { file: outputPath, error: err });
+  }
+}
+
+function buildVideoFilterChain(preset, cropFilter, subtitles) {
+  const filters = [cropFilter];
+
+  // Color adjustments
+  filters.push(`eq=saturation=${preset.saturation}:brightness=${preset.brightness}:contrast=${preset.contrast}`);
+
+  // Color temperature
+  if (preset.colorTemp === 'warm') {
+    filters.push('colortemperature=temperature=6500:mix=0.3');
+  } else if (preset.colorTemp === 'cool') {
+    filters.push('colortemperature=temperature=8500:mix=0.3');
+  }
+
+  // Sharpening
+  if (preset.sharpen) {
+    filters.push(`unsharp=5:5:${preset.sharpen}:5:5:0.0`);
+  }
+
+  // Subtle blur
+  if (preset.gaussianBlur) {
+    filters.push(`gblur=sigma=${preset.gaussianBlur}`);
+  }
+
+  // Vignette effect
+  if (preset.vignette) {
+    filters.push('vignette=angle=PI/4');
+  }
+
+  // Burned-in subtitles stay clear of the effects above
+  if (subtitles) {
+    filters.push(buildSubtitlesFilter(subtitles));
+  }
+
+  // Speed change last so every filter above sees the original timing
+  if (preset.speed !== 1.0) {
+    filters.push(`setpts=PTS/${preset.speed}`);
+  }
+
+  return filters.join(',');
+}
+
+function buildAudioFilterChain(preset) {
+  // Work at a known rate so the pitch shift below is exact for any source rate
+  const filters = ['aresample=48000'];
+  let tempo = preset.speed;
+
+  // Audio pitch shift: resampling raises pitch and tempo together,
+  // so the tempo change is undone by the atempo chain below
+  if (preset.audioPitch !== 0) {
+    const pitchRatio = Math.pow(2, preset.audioPitch / 12);
+    filters.push(`asetrate=${Math.round(48000 * pitchRatio)}`, 'aresample=48000');
+    tempo = tempo / pitchRatio;
+  }
+
+  // Audio speed (maintain pitch)
+  filters.push(...buildAtempoChain(tempo));
+
+  // Audio normalization
+  filters.push('loudnorm=I=-16:TP=-1.5:LRA=11');
+
+  return filters.join(',');
+}
+
+// atempo only accepts factors between 0.5 and 2.0, so larger changes are chained
+function buildAtempoChain(factor) {
+  const filters = [];
+  let remaining = factor;
+
+  while (remaining > 2.0) {
+    filters.push('atempo=2.0');
+    remaining /= 2.0;
+  }
+  while (remaining < 0.5) {
+    filters.push('atempo=0.5');
+    remaining /= 0.5;
+  }
+  if (Math.abs(remaining - 1.0) > 1e-6) {
+    filters.push(`atempo=${Number(remaining.toFixed(6))}`);
+  }
+
+  return filters;
+}
+
+// Trim the kept segments out of input 0 and join them, crossfading when asked.
+// Returns the chains plus the labels that carry the cut video and audio.
+function buildCutChains(cut, withVideo, withAudio) {
+  if (!cut) {
+    return { chains: [], video: '[0:v]', audio: '[0:a]' };
+  }
+
+  const chains = [];
+  cut.segments.forEach((segment, i) => {
+    if (withVideo) chains.push(`[0:v]trim=start=${segment.start}:end=${segment.end},setpts=PTS-STARTPTS[cutv${i}]`);
+    if (withAudio) chains.push(`[0:a]atrim=start=${segment.start}:end=${segment.end},asetpts=PTS-STARTPTS[cuta${i}]`);
   });
 
-  // Process selected versions
-  processMultipleVersions(inputPath, jobId, versionKeys);
-});
+  if (cut.segments.length === 1) {
+    return { chains, video: '[cutv0]', audio: '[cuta0]' };
+  }
 
-// Job status endpoint
-app.get('/api/job/:jobId', (req, res) => {
-  const job = jobs.get(req.params.jobId);
-  
-  if (!job) {
-    return res.status(404).json({ error: 'Job not found' });
+  if (!cut.crossfade) {
+    const inputs = cut.segments.map((segment, i) => (withVideo ? `[cutv${i}]` : '') + (withAudio ? `[cuta${i}]` : '')).join('');
+    const outputs = (withVideo ? '[cutv]' : '') + (withAudio ? '[cuta]' : '');
+    chains.push(`${inputs}concat=n=${cut.segments.length}:v=${withVideo ? 1 : 0}:a=${withAudio ? 1 : 0}${outputs}`);
+    return { chains, video: '[cutv]', audio: '[cuta]' };
+  }
+
+  // xfade offsets are positions in the joined output so far
+  let video = '[cutv0]';
+  let audio = '[cuta0]';
+  let offset = 0;
+  for (let i = 1; i < cut.segments.length; i++) {
+    const previous = cut.segments[i - 1];
+    offset += previous.end - previous.start - cut.crossfade;
+    if (withVideo) {
+      chains.push(`${video}[cutv${i}]xfade=transition=fade:duration=${cut.crossfade}:offset=${offset.toFixed(3)}[fadev${i}]`);
+      video = `[fadev${i}]`;
+    }
+    if (withAudio) {
+      chains.push(`${audio}[cuta${i}]acrossfade=d=${cut.crossfade}[fadea${i}]`);
+      audio = `[fadea${i}]`;
+    }
+  }
+
+  return { chains, video, audio };
+}
+
+const CONCAT_AUDIO_FORMAT = 'aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo';
+
+// Fit an intro/outro clip into the output frame and bring its audio to the
+// concat format, with silence for clips that have none
+function buildClipChains(clip, name, geometry, withAudio) {
+  const chains = [
+    `[${clip.input}:v]scale=${geometry.width}:${geometry.height}:force_original_aspect_ratio=decrease,` +
+    `pad=${geometry.width}:${geometry.height}:(ow-iw)/2:(oh-ih)/2:black,setsar=1[${name}v]`
+  ];
+
+  if (withAudio) {
+    chains.push(clip.hasAudio
+      ? `[${clip.input}:a]${CONCAT_AUDIO_FORMAT}[${name}a]`
+      : `anullsrc=r=48000:cl=stereo,atrim=0:${clip.duration.toFixed(3)}[${name}a]`);
+  }
+
+  return chains;
+}
+
+// One -filter_complex graph for the whole version, so no filter can override another.
+// Inputs without an audio stream get a video-only graph unless a music track
+// replaces or is mixed under the soundtrack. Options:
+//   hasAudio     whether input 0 has an audio stream
+//   cut          segments of input 0 to keep (see resolveCut)
+//   soundtrack   { track, level, duration, input } for audio.track
+//   intro/outro  probed clips with their input index, joined around the main part
+//   overlays     watermark (with its input index), captions and subtitles
+function buildFilterGraph(preset, geometry, { hasAudio, cut, soundtrack = { track: 'keep' }, intro, outro, overlays = {} } = {}) {
+  const keepOriginal = hasAudio && (soundtrack.track === 'keep' || soundtrack.track === 'mix');
+  const addTrack = soundtrack.track === 'replace' || soundtrack.track === 'mix';
+  const withAudio = keepOriginal || addTrack;
+  const withClips = Boolean(intro || outro);
+  const mainVideo = withClips ? 'mainv' : 'vout';
+  const mainAudio = withClips ? 'mainmix' : 'aout';
+
+  const withOverlays = Boolean(overlays.watermark || overlays.text);
+
+  const source = buildCutChains(cut, true, keepOriginal);
+  const chains = [
+    ...source.chains,
+    `${source.video}${buildVideoFilterChain(preset, geometry.filter, overlays.subtitles)}[${withOverlays ? 'graded' : mainVideo}]`
+  ];
+
+  if (withOverlays) {
+    chains.push(...buildOverlayChains(overlays, geometry, 'graded', mainVideo, intro ? intro.duration : 0));
+  }
+
+  if (keepOriginal) {
+    chains.push(`${source.audio}${buildAudioFilterChain(preset)}[${addTrack ? 'original' : mainAudio}]`);
+  }
+
+  if (addTrack) {
+    // The supplied track plays at normal speed and pitch, cut to the main part's length
+    const trim = soundtrack.duration ? `,atrim=0:${soundtrack.duration.toFixed(3)},asetpts=PTS-STARTPTS` : '';
+    chains.push(`[${soundtrack.input}:a]aresample=48000,volume=${soundtrack.level}${trim}[${keepOriginal ? 'music' : mainAudio}]`);
+  }
+
+  if (keepOriginal && addTrack) {
+    // amix halves each input, so restore the original's level afterwards
+    chains.push(`[original][music]amix=inputs=2:duration=first:dropout_transition=0,volume=2[${mainAudio}]`);
   }
 
+  if (withClips) {
+    const parts = [];
+    if (intro) {
+      chains.push(...buildClipChains(intro, 'intro', geometry, withAudio));
+      parts.push('intro');
+    }
+    if (withAudio) {
+      chains.push(`[mainmix]${CONCAT_AUDIO_FORMAT}[maina]`);
+    }
+    parts.push('main');
+    if (outro) {
+      chains.push(...buildClipChains(outro, 'outro', geometry, withAudio));
+      parts.push('outro');
+    }
+
+    const inputs = parts.map(part => `[${part}v]` + (withAudio ? `[${part}a]` : '')).join('');
+    chains.push(`${inputs}concat=n=${parts.length}:v=1:a=${withAudio ? 1 : 0}[vout]${withAudio ? '[aout]' : ''}`);
+  }
+
+  return { graph: chains.join(';'), outputs: withAudio ? ['vout', 'aout'] : ['vout'] };
+}
+
+// Audio-only versions: the cut soundtrack through the preset's audio chain
+function buildAudioGraph(preset, cut) {
+  const source = buildCutChains(cut, false, true);
+  const chains = [...source.chains, `${source.audio}${buildAudioFilterChain(preset)}[aout]`];
+  return { graph: chains.join(';'), outputs: ['aout'] };
+}
+
+// fluent-ffmpeg reports progress.timemark as HH:MM:SS.ss
+function timemarkSeconds(timemark) {
+  if (!timemark) return 0;
+  return timemark.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+// Public view of a job, shared by the status endpoint and anything that reports job state
+function buildJobStatus(jobId, job) {
   // Calculate overall progress
   const versionProgresses = Object.values(job.versions).map(v => v.progress || 0);
   const overallProgress = Math.floor(
     versionProgresses.reduce((a, b) => a + b, 0) / versionProgresses.length
   );
 
-  res.json({
-    jobId: req.params.jobId,
+  const versions = {};
+  const queuePositions = [];
+  for (const [versionKey, version] of Object.entries(job.versions)) {
+    versions[versionKey] = { ...version };
+    if (version.status === 'queued') {
+      const queuePosition = getQueuePosition(jobId, versionKey);
+      versions[versionKey].queuePosition = queuePosition;
+      if (queuePosition) queuePositions.push(queuePosition);
+    }
+  }
+
+  return {
+    jobId,
     status: job.status,
     versionCount: job.versionCount || 1,
     overallProgress,
-    versions: job.versions,
+    queuePosition: queuePositions.length > 0 ? Math.min(...queuePositions) : null,
+    versions,
     originalFilename: job.originalFilename,
+    probe: job.probe,
     processingDuration: job.processingDuration ? 
-      Math.floor(job.processingDuration / 1000) + 's' : null
-  });
-});
+      Math.floor(job.processingDuration / 1000) + 's' : null,
+    expiresAt: jobExpiresAt(job) ? new Date(jobExpiresAt(job)).toISOString() : null,
+    webhookDeliveries: job.callback ? (job.webhookDeliveries || []) : undefined
+  };
+}
 
-// Download individual version
-app.get('/api/download/:jobId/:versionKey', (req, res) => {
-  const { jobId, versionKey } = req.params;
+// Strip characters that are unsafe in download and archive entry names
+function safeFilename(name) {
+  return name.replace(/[\\/:*?"<>|]+/g, '_').trim();
+}
+
+// Remove an upload that was rejected before a job was created
+function discardUpload(req) {
+  const files = req.files ? Object.values(req.files).flat() : [req.file];
+  for (const file of files) {
+    if (file && fs.existsSync(file.path)) {
+      fs.unlink(file.path, (err) => {
+        if (err) log.error('Upload cleanup failed', { file: file.path, error: err });
+      });
+    }
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+}
+
+// ============================================
+// JOB EVENTS
+// ============================================
+
+// In-memory event log per job; ids let SSE clients resume with Last-Event-ID
+const JOB_EVENT_LOG_SIZE = 200;
+const jobEventLogs = new Map();
+const jobEventBus = new EventEmitter();
+jobEventBus.setMaxListeners(0);
+
+const WEBHOOK_EVENTS = ['version.completed', 'version.failed', 'version.published', 'version.publish_failed', 'job.completed', 'job.failed', 'job.cancelled'];
+const FINAL_JOB_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted'];
+
+function publishJobEvent(jobId, type, data) {
+  let eventLog = jobEventLogs.get(jobId);
+  if (!eventLog) {
+    eventLog = { nextId: 1, events: [] };
+    jobEventLogs.set(jobId, eventLog);
+  }
+
+  const event = { id: eventLog.nextId++, type, data };
+  eventLog.events.push(event);
+  if (eventLog.events.length > JOB_EVENT_LOG_SIZE) {
+    eventLog.events.shift();
+  }
+
+  jobEventBus.emit(jobId, event);
+}
+
+// Single entry point for job lifecycle events (version.processing, version.completed,
+// version.failed, version.cancelled, version.published, version.publish_failed,
+// job.completed, job.failed, job.cancelled)
+function emitJobEvent(jobId, event, versionKey = null) {
   const job = jobs.get(jobId);
-  
-  if (!job || !job.versions[versionKey]) {
-    return res.status(404).json({ error: 'Version not found' });
+  if (!job) return;
+
+  publishJobEvent(jobId, event, { versionKey, job: buildJobStatus(jobId, job) });
+
+  if (job.callback && WEBHOOK_EVENTS.includes(event)) {
+    deliverWebhook(jobId, event, versionKey);
   }
+}
 
+function emitProgressEvent(jobId, versionKey) {
+  const job = jobs.get(jobId);
   const version = job.versions[versionKey];
-  
-  if (version.status !== 'completed') {
-    return res.status(400).json({ error: 'Version not ready' });
+  const elapsed = (Date.now() - version.startedAt) / 1000;
+
+  publishJobEvent(jobId, 'progress', {
+    versionKey,
+    progress: version.progress,
+    eta: version.progress > 0 ? Math.round(elapsed * (100 - version.progress) / version.progress) : null,
+    overallProgress: buildJobStatus(jobId, job).overallProgress
+  });
+}
+
+// ============================================
+// WEBHOOKS
+// ============================================
+
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_RETRY_DELAY = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 1000;
+const WEBHOOK_TIMEOUT = 10 * 1000;
+// Like sourceUrl, callbacks may only go to these hosts and are off without the list
+const CALLBACK_URL_ALLOWED_HOSTS = parseHostList(process.env.CALLBACK_URL_ALLOWED_HOSTS);
+
+// Callback secrets are stored encrypted with a key derived from the download signing
+// secret, so job records never hold them in plain text but jobs recovered after a
+// restart can still sign their webhooks. Changing DOWNLOAD_SIGNING_SECRET leaves
+// stored secrets unreadable, and those deliveries fail.
+const callbackSecretKey = crypto.createHmac('sha256', signingSecret).update('webhook-callback-secret').digest();
+
+function encryptCallbackSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', callbackSecretKey, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+}
+
+// Returns null when the secret can't be decrypted
+function decryptCallbackSecret(value) {
+  try {
+    const [iv, authTag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', callbackSecretKey, iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  } catch (err) {
+    return null;
   }
+}
+
+// Returns an error message, or null when the callback settings are usable
+function validateCallback(callbackUrl, callbackSecret) {
+  if (callbackUrl === undefined || callbackUrl === '') return null;
+
+  if (CALLBACK_URL_ALLOWED_HOSTS.length === 0) {
+    return 'callbackUrl is not enabled on this server';
+  }
+  let url;
+  try {
+    url = new URL(callbackUrl);
+  } catch (err) {
+    return 'callbackUrl must be a valid URL';
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return 'callbackUrl must use http or https';
+  }
+  if (!isAllowedHost(url.hostname, CALLBACK_URL_ALLOWED_HOSTS)) {
+    return `Host ${url.hostname} is not in the callback URL allowlist`;
+  }
+  if (callbackSecret !== undefined && typeof callbackSecret !== 'string') {
+    return 'callbackSecret must be a string';
+  }
+  return null;
+}
+
+function buildCallback(body) {
+  if (!body.callbackUrl) return undefined;
+  return {
+    url: body.callbackUrl,
+    encryptedSecret: body.callbackSecret ? encryptCallbackSecret(body.callbackSecret) : undefined
+  };
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function deliverWebhook(jobId, event, versionKey) {
+  const job = jobs.get(jobId);
+  const delivery = {
+    id: crypto.randomUUID(),
+    event,
+    versionKey,
+    status: 'pending',
+    attempts: []
+  };
 
-  const filePath = path.join('processed', 'videos', version.filename);
-  
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ error: 'File not found' });
+  // Snapshot the job now so retries report the state at the time of the event
+  const body = JSON.stringify({
+    event,
+    versionKey,
+    timestamp: new Date().toISOString(),
+    job: buildJobStatus(jobId, job)
+  });
+
+  job.webhookDeliveries = job.webhookDeliveries || [];
+  job.webhookDeliveries.push(delivery);
+
+  const secret = job.callback.encryptedSecret ? decryptCallbackSecret(job.callback.encryptedSecret) : null;
+  if (job.callback.encryptedSecret && !secret) {
+    delivery.status = 'failed';
+    delivery.error = 'Callback secret could not be decrypted; was DOWNLOAD_SIGNING_SECRET changed?';
+    jobs.persist(jobId);
+    log.error('Webhook not sent without its secret', { jobId, event });
+    return;
   }
 
-  const downloadName = job.versionCount === 1 
-    ? `${path.parse(job.originalFilename).name}_converted.mp4`
-    : `${path.parse(job.originalFilename).name}_${versionKey}.mp4`;
-  
-  res.download(filePath, downloadName, (err) => {
-    if (err) {
-      console.error('Download error:', err);
-      if (!res.headersSent) {
-        res.status(500).json({ error: 'Download failed' });
-      }
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Webhook-Id': delivery.id,
+      'X-Webhook-Event': event,
+      'X-Webhook-Timestamp': timestamp
+    };
+    if (secret) {
+      headers['X-Webhook-Signature'] = `sha256=${signWebhookPayload(secret, timestamp, body)}`;
     }
-  });
-});
 
-// Download all versions as ZIP
-app.get('/api/download-all/:jobId', async (req, res) => {
-  const job = jobs.get(req.params.jobId);
-  
-  if (!job) {
-    return res.status(404).json({ error: 'Job not found' });
-  }
+    const record = { attempt, at: new Date().toISOString() };
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT);
 
-  if (job.status !== 'completed') {
-    return res.status(400).json({ error: 'Not all versions ready' });
-  }
+    try {
+      // Redirects are not followed, as they could lead off the allowlist
+      const response = await fetch(job.callback.url, {
+        method: 'POST',
+        headers,
+        body,
+        redirect: 'manual',
+        signal: controller.signal
+      });
+      record.statusCode = response.status;
+      if (!response.ok) {
+        record.error = `HTTP ${response.status}`;
+      }
+    } catch (err) {
+      record.error = err.name === 'AbortError' ? 'Timed out' : err.message;
+    } finally {
+      clearTimeout(timer);
+    }
 
-  // If only 1 version, redirect to single download
-  if (job.versionCount === 1) {
-    const versionKey = Object.keys(job.versions)[0];
-    return res.redirect(`/api/download/${req.params.jobId}/${versionKey}`);
-  }
+    delivery.attempts.push(record);
 
-  // Create ZIP for multiple versions
-  const archive = archiver('zip', { zlib: { level: 9 } });
-  
-  const zipName = `${path.parse(job.originalFilename).name}_${job.versionCount}_versions.zip`;
-  
-  res.attachment(zipName);
-  
-  archive.on('error', (err) => {
-    console.error('Archive error:', err);
-    if (!res.headersSent) {
-      res.status(500).json({ error: 'Failed to create ZIP' });
+    if (!record.error) {
+      delivery.status = 'delivered';
+      jobs.persist(jobId);
+      log.info('Webhook delivered', { jobId, event });
+      return;
     }
-  });
 
-  archive.pipe(res);
+    jobs.persist(jobId);
 
-  // Add all completed versions to ZIP
-  for (const [versionKey, version] of Object.entries(job.versions)) {
-    if (version.status === 'completed') {
-      const filePath = path.join('processed', 'videos', version.filename);
-      if (fs.existsSync(filePath)) {
-        archive.file(filePath, { 
-          name: `${versionKey}_${VERSION_PRESETS[versionKey].name}.mp4` 
-        });
-      }
+    if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+      // Exponential backoff: 1x, 2x, 4x, ... the base delay
+      await new Promise(resolve => setTimeout(resolve, WEBHOOK_RETRY_DELAY * Math.pow(2, attempt - 1)));
     }
   }
 
-  archive.finalize();
-});
+  delivery.status = 'failed';
+  jobs.persist(jobId);
+  log.error('Webhook delivery failed', { jobId, event, attempts: WEBHOOK_MAX_ATTEMPTS });
+}
 
-// Upload to Mixpost endpoint
-app.post('/api/upload-to-mixpost', async (req, res) => {
-  const { jobId, versionKey, mixpostUrl, mixpostToken } = req.body;
-  
-  if (!jobId || !versionKey || !mixpostUrl || !mixpostToken) {
-    return res.status(400).json({ error: 'Missing required parameters' });
-  }
+// ============================================
+// DESTINATIONS
+// ============================================
 
-  const job = jobs.get(jobId);
-  
-  if (!job || !job.versions[versionKey]) {
-    return res.status(404).json({ error: 'Version not found' });
-  }
+// Named publishing targets from DESTINATIONS_FILE (default DATA_DIR/destinations.json,
+// { "destinations": { name: { type, ...settings } } }). Credentials stay on the
+// server; a setting written as "env:NAME" is read from that environment variable.
+const DESTINATIONS_FILE = process.env.DESTINATIONS_FILE || path.join(DATA_DIR, 'destinations.json');
+const DESTINATION_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+const PUBLISH_MAX_ATTEMPTS = parseInt(process.env.PUBLISH_MAX_ATTEMPTS) || 3;
+const PUBLISH_RETRY_DELAY = parseInt(process.env.PUBLISH_RETRY_DELAY_MS) || 2000;
+const PUBLISH_TIMEOUT = 10 * 60 * 1000;
 
-  const version = job.versions[versionKey];
-  
-  if (version.status !== 'completed') {
-    return res.status(400).json({ error: 'Version not ready' });
+// Required settings per destination type; everything else is optional
+const DESTINATION_TYPES = {
+  mixpost: ['url', 'token'],
+  http: ['url'],
+  s3: ['endpoint', 'bucket', 'accessKeyId', 'secretAccessKey'],
+  directory: ['path']
+};
+
+function resolveSetting(value) {
+  if (typeof value !== 'string' || !value.startsWith('env:')) return value;
+  return process.env[value.slice(4)];
+}
+
+function loadDestinations() {
+  const destinations = new Map();
+  if (!fs.existsSync(DESTINATIONS_FILE)) return destinations;
+
+  let entries;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(DESTINATIONS_FILE, 'utf8'));
+    entries = Object.entries(parsed.destinations || parsed);
+  } catch (err) {
+    log.error('Failed to load destinations', { file: DESTINATIONS_FILE, error: err });
+    process.exit(1);
   }
 
-  const filePath = path.join('processed', 'videos', version.filename);
-  
-  if (!fs.existsSync(filePath)) {
-    return res.status(404).json({ error: 'File not found' });
+  for (const [name, entry] of entries) {
+    const settings = {};
+    for (const [field, value] of Object.entries(entry || {})) {
+      settings[field] = resolveSetting(value);
+    }
+
+    const required = DESTINATION_TYPES[settings.type];
+    const missing = required ? required.filter(field => !settings[field]) : [];
+    if (!DESTINATION_NAME_PATTERN.test(name) || !required || missing.length > 0) {
+      const reason = !required ? `type must be one of: ${Object.keys(DESTINATION_TYPES).join(', ')}` :
+        missing.length > 0 ? `missing ${missing.join(', ')}` : 'invalid name';
+      log.error('Invalid destination', { destination: name, error: reason });
+      process.exit(1);
+    }
+
+    if (settings.type === 'directory') {
+      fs.mkdirSync(settings.path, { recursive: true });
+    }
+    destinations.set(name, { name, ...settings });
   }
 
-  try {
-    const FormData = require('form-data');
-    const fetch = require('node-fetch');
-    
-    const formData = new FormData();
-    formData.append('file', fs.createReadStream(filePath));
-    formData.append('name', `${job.originalFilename}_${versionKey}`);
+  return destinations;
+}
 
-    const response = await fetch(`${mixpostUrl}/api/media`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${mixpostToken}`,
-        ...formData.getHeaders()
-      },
-      body: formData
-    });
+const destinations = loadDestinations();
 
-    const data = await response.json();
+// Destinations with allowedKeys are only offered to those API keys
+function canUseDestination(apiKey, destination) {
+  if (!apiKey || apiKey.admin || !Array.isArray(destination.allowedKeys)) return true;
+  return destination.allowedKeys.includes(apiKey.id);
+}
 
-    if (response.ok) {
-      console.log(`✅ Successfully uploaded ${versionKey} to Mixpost`);
-      res.json({ 
-        success: true, 
-        message: 'Uploaded to Mixpost successfully',
-        mixpostResponse: data 
-      });
-    } else {
-      console.error(`❌ Mixpost upload failed:`, data);
-      res.status(response.status).json({ 
-        error: 'Mixpost upload failed', 
-        details: data 
-      });
+// Returns { publish } (undefined when not requested) or { error } from a list of
+// destination names, given as a JSON array or comma-separated
+function parsePublishOption(value, apiKey) {
+  if (value === undefined || value === '') return { publish: undefined };
+
+  let names = value;
+  if (typeof value === 'string') {
+    try {
+      names = value.trim().startsWith('[') ? JSON.parse(value) : value.split(',');
+    } catch (err) {
+      return { error: 'publish must be a JSON array or comma-separated destination names' };
     }
-  } catch (error) {
-    console.error('Mixpost upload error:', error);
-    res.status(500).json({ 
-      error: 'Failed to upload to Mixpost', 
-      details: error.message 
-    });
   }
-});
+  if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+    return { error: 'publish must be a list of destination names' };
+  }
 
-// ============================================
-// PROCESSING FUNCTIONS
-// ============================================
+  const publish = [...new Set(names.map(name => name.trim()).filter(Boolean))];
+  const unknown = publish.filter(name => !destinations.has(name) || !canUseDestination(apiKey, destinations.get(name)));
+  if (unknown.length > 0) {
+    return { error: `Unknown destination: ${unknown.join(', ')}` };
+  }
+  return { publish: publish.length > 0 ? publish : undefined };
+}
 
-async function processMultipleVersions(inputPath, jobId, versionKeys) {
-  const job = jobs.get(jobId);
-  
+// Thrown for remote responses; `retryable` is false for errors a retry can't fix
+function remoteError(message, statusCode, retryable = true) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.retryable = retryable;
+  return err;
+}
+
+async function readRemoteResponse(response) {
+  const text = await response.text();
+  let data = null;
   try {
-    console.log(`🎬 Starting processing for job ${jobId} - ${versionKeys.length} version(s)`);
-    
-    // Process selected versions in parallel
-    const versionPromises = versionKeys.map(versionKey => 
-      processVersionVariation(inputPath, jobId, versionKey)
-    );
+    data = text ? JSON.parse(text) : null;
+  } catch (err) {
+    // Not every endpoint answers with JSON
+  }
 
-    await Promise.all(versionPromises);
+  if (!response.ok) {
+    const detail = data && (data.message || data.error);
+    throw remoteError(`HTTP ${response.status}${detail ? `: ${detail}` : ''}`, response.status,
+      response.status === 408 || response.status === 429 || response.status >= 500);
+  }
+  return data;
+}
 
-    // Update job status
-    job.status = 'completed';
-    job.completedTime = Date.now();
-    job.processingDuration = job.completedTime - job.startTime;
+async function publishToMixpost(destination, file, signal) {
+  const formData = new FormData();
+  formData.append('file', fs.createReadStream(file.path));
+  formData.append('name', file.title);
 
-    console.log(`✅ All ${versionKeys.length} version(s) completed for job ${jobId} in ${Math.floor(job.processingDuration / 1000)}s`);
+  const response = await fetch(`${destination.url.replace(/\/+$/, '')}/api/media`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${destination.token}`,
+      ...formData.getHeaders()
+    },
+    body: formData,
+    signal
+  });
+  const data = await readRemoteResponse(response) || {};
+  return { statusCode: response.status, remoteId: data.id || data.uuid, url: data.url };
+}
 
-  } catch (error) {
-    console.error(`❌ Processing failed for job ${jobId}:`, error);
-    job.status = 'failed';
-    job.error = error.message;
-  } finally {
-    // Cleanup original file
-    setTimeout(() => {
-      try {
-        if (fs.existsSync(inputPath)) {
-          fs.unlinkSync(inputPath);
-          console.log(`🗑️ Cleaned up original file for job ${jobId}`);
-        }
-      } catch (err) {
-        console.error('Cleanup error:', err);
-      }
-    }, 1000);
+// Any endpoint that takes a multipart upload; the remote id is read from the JSON
+// response (idField, default "id") or the Location header
+async function publishToHttp(destination, file, signal) {
+  const formData = new FormData();
+  for (const [field, value] of Object.entries(destination.fields || {})) {
+    formData.append(field, String(value));
   }
+  formData.append(destination.fieldName || 'file', fs.createReadStream(file.path), file.filename);
+
+  const response = await fetch(destination.url, {
+    method: destination.method || 'POST',
+    headers: { ...destination.headers, ...formData.getHeaders() },
+    body: formData,
+    signal
+  });
+  const data = await readRemoteResponse(response) || {};
+  const remoteId = data[destination.idField || 'id'];
+  return {
+    statusCode: response.status,
+    remoteId: remoteId !== undefined ? String(remoteId) : response.headers.get('location') || undefined,
+    url: data.url
+  };
 }
 
-async function processVersionVariation(inputPath, jobId, versionKey) {
-  const job = jobs.get(jobId);
-  const preset = VERSION_PRESETS[versionKey];
-  const outputFilename = `${jobId}_${versionKey}.mp4`;
-  const outputPath = path.join('processed', 'videos', outputFilename);
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
 
-  job.versions[versionKey].status = 'processing';
-  
-  return new Promise((resolve, reject) => {
-    ffmpeg.ffprobe(inputPath, (err, metadata) => {
-      if (err) {
-        job.versions[versionKey].status = 'failed';
-        job.versions[versionKey].error = err.message;
-        return reject(err);
-      }
+// RFC 3986 encoding as AWS expects it in canonical paths
+function awsUriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
 
-      const videoStream = metadata.streams.find(s => s.codec_type === 'video');
-      if (!videoStream) {
-        const error = new Error('No video stream found');
-        job.versions[versionKey].status = 'failed';
-        job.versions[versionKey].error = error.message;
-        return reject(error);
-      }
+// AWS Signature Version 4 for a request with no query string. `headers` must
+// include host, x-amz-date and x-amz-content-sha256; all of them are signed.
+function signAwsRequest({ method, pathname, headers, region, service, accessKeyId, secretAccessKey }) {
+  const amzDate = headers['x-amz-date'];
+  const dateStamp = amzDate.slice(0, 8);
+  const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const signedHeaders = names.join(';');
 
-      const width = videoStream.width;
-      const height = videoStream.height;
+  const canonicalRequest = [
+    method,
+    pathname,
+    '',
+    names.map(name => `${name}:${String(lowerHeaders[name]).trim()}\n`).join(''),
+    signedHeaders,
+    lowerHeaders['x-amz-content-sha256']
+  ].join('\n');
 
-      // Calculate crop dimensions
-      let cropFilter = '';
-      if (preset.cropPercent > 0) {
-        const cropW = Math.floor(width * (1 - preset.cropPercent / 100));
-        const cropH = Math.floor(height * (1 - preset.cropPercent / 100));
-        const cropX = Math.floor((width - cropW) / 2);
-        const cropY = Math.floor((height - cropH) / 2);
-        cropFilter = `crop=${cropW}:${cropH}:${cropX}:${cropY},scale=1920:1080`;
-      } else {
-        cropFilter = 'scale=1920:1080';
-      }
-
-      // Build filter chains
-      const videoFilters = buildVideoFilterChain(preset, cropFilter);
-      const audioFilters = buildAudioFilterChain(preset);
-
-      // Start FFmpeg processing
-      let command = ffmpeg(inputPath)
-        .outputOptions([
-          '-crf 18',
-          '-preset slow',
-          '-b:v 8M',
-          '-maxrate 10M',
-          '-bufsize 16M',
-          '-pix_fmt yuv420p',
-          '-profile:v high',
-          '-level 4.0',
-          '-b:a 192k',
-          '-ar 48000',
-          '-ac 2',
-          '-movflags +faststart',
-          '-avoid_negative_ts make_zero',
-          '-max_muxing_queue_size 1024'
-        ])
-        .videoFilters(videoFilters)
-        .audioFilters(audioFilters);
-
-      // Apply speed change if needed
-      if (preset.speed !== 1.0) {
-        // Video speed
-        command.outputOptions(`-filter:v setpts=${(1/preset.speed).toFixed(2)}*PTS`);
-        // Audio speed (maintain pitch)
-        command.outputOptions(`-filter:a atempo=${preset.speed.toFixed(2)}`);
-      }
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
 
-      command
-        .output(outputPath)
-        .on('start', (commandLine) => {
-          console.log(`🎬 Starting ${versionKey}: ${preset.name}`);
-          console.log(`   Speed: ${preset.speed}x, Saturation: ${preset.saturation}, Crop: ${preset.cropPercent}%`);
-        })
-        .on('progress', (progress) => {
-          const percent = Math.min(99, Math.floor(progress.percent || 0));
-          job.versions[versionKey].progress = percent;
-          
-          if (percent % 25 === 0 && percent > 0) {
-            console.log(`   ${versionKey}: ${percent}%`);
-          }
-        })
-        .on('end', () => {
-          const stats = fs.statSync(outputPath);
-          job.versions[versionKey].status = 'completed';
-          job.versions[versionKey].progress = 100;
-          job.versions[versionKey].filename = outputFilename;
-          job.versions[versionKey].size = stats.size;
-          job.versions[versionKey].sizeReadable = formatBytes(stats.size);
-          job.versions[versionKey].description = preset.description;
-          
-          console.log(`✅ ${versionKey} completed: ${formatBytes(stats.size)}`);
-          resolve();
-        })
-        .on('error', (err) => {
-          console.error(`❌ ${versionKey} failed:`, err.message);
-          job.versions[versionKey].status = 'failed';
-          job.versions[versionKey].error = err.message;
-          reject(err);
-        })
-        .run();
-    });
-  });
+  const signingKey = [dateStamp, region, service, 'aws4_request'].reduce(
+    (key, part) => crypto.createHmac('sha256', key).update(part).digest(),
+    `AWS4${secretAccessKey}`
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
 }
 
-function buildVideoFilterChain(preset, cropFilter) {
-  const filters = [cropFilter];
+// PUT to an S3-compatible bucket with path-style addressing, so MinIO, R2 and
+// friends work without DNS per bucket. The object key is the remote id.
+async function publishToS3(destination, file, signal) {
+  const endpoint = new URL(destination.endpoint);
+  const key = `${(destination.prefix || '').replace(/^\/+/, '')}${file.filename}`;
+  const pathname = `${endpoint.pathname.replace(/\/+$/, '')}/${awsUriEncode(destination.bucket)}/${key.split('/').map(awsUriEncode).join('/')}`;
 
-  // Color adjustments
-  filters.push(`eq=saturation=${preset.saturation}:brightness=${preset.brightness}:contrast=${preset.contrast}`);
+  const headers = {
+    'host': endpoint.host,
+    'content-length': String(fs.statSync(file.path).size),
+    'content-type': file.contentType,
+    'x-amz-content-sha256': 'UNSIGNED-PAYLOAD',
+    'x-amz-date': new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+  };
+  headers['authorization'] = signAwsRequest({
+    method: 'PUT',
+    pathname,
+    headers,
+    region: destination.region || 'us-east-1',
+    service: 's3',
+    accessKeyId: destination.accessKeyId,
+    secretAccessKey: destination.secretAccessKey
+  });
 
-  // Color temperature
-  if (preset.colorTemp === 'warm') {
-    filters.push('colortemperature=temperature=6500:mix=0.3');
-  } else if (preset.colorTemp === 'cool') {
-    filters.push('colortemperature=temperature=8500:mix=0.3');
-  }
+  const response = await fetch(`${endpoint.origin}${pathname}`, {
+    method: 'PUT',
+    headers,
+    body: fs.createReadStream(file.path),
+    signal
+  });
+  await readRemoteResponse(response);
+  return {
+    statusCode: response.status,
+    remoteId: key,
+    url: destination.publicUrl ? `${destination.publicUrl.replace(/\/+$/, '')}/${key}` : undefined
+  };
+}
 
-  // Sharpening
-  if (preset.sharpen) {
-    filters.push(`unsharp=5:5:${preset.sharpen}:5:5:0.0`);
+// Local or network-mounted directory; the copied file's path is the remote id
+async function publishToDirectory(destination, file) {
+  const targetPath = path.join(destination.path, file.filename);
+  try {
+    await fs.promises.copyFile(file.path, targetPath);
+  } catch (err) {
+    // A missing mount or full disk is worth retrying, a missing source is not
+    throw remoteError(err.message, undefined, err.code !== 'ENOENT' || fs.existsSync(file.path));
   }
+  return { remoteId: targetPath };
+}
 
-  // Subtle blur
-  if (preset.gaussianBlur) {
-    filters.push(`gblur=sigma=${preset.gaussianBlur}`);
-  }
+const PUBLISHERS = {
+  mixpost: publishToMixpost,
+  http: publishToHttp,
+  s3: publishToS3,
+  directory: publishToDirectory
+};
 
-  // Vignette effect
-  if (preset.vignette) {
-    filters.push('vignette=angle=PI/4');
+// Publish one completed version, retrying with backoff. Every attempt is recorded
+// on version.publications so clients can see what happened and why.
+async function publishVersion(jobId, versionKey, destinationName) {
+  const job = jobs.get(jobId);
+  const destination = destinations.get(destinationName);
+  const version = job && job.versions[versionKey];
+  if (!version || !destination || version.status !== 'completed') return;
+
+  const publication = {
+    id: crypto.randomUUID(),
+    destination: destinationName,
+    type: destination.type,
+    status: 'publishing',
+    attempts: []
+  };
+  version.publications = version.publications || [];
+  version.publications.push(publication);
+  jobs.persist(jobId);
+
+  const file = {
+    path: versionFilePath(job, version),
+    filename: version.filename,
+    title: `${job.originalFilename}_${versionKey}`,
+    contentType: versionOutputFormat(job, version).contentType
+  };
+
+  for (let attempt = 1; attempt <= PUBLISH_MAX_ATTEMPTS; attempt++) {
+    const record = { attempt, at: new Date().toISOString() };
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), PUBLISH_TIMEOUT);
+    let retryable = true;
+
+    try {
+      const result = await PUBLISHERS[destination.type](destination, file, controller.signal);
+      record.statusCode = result.statusCode;
+      publication.remoteId = result.remoteId;
+      publication.url = result.url;
+    } catch (err) {
+      record.statusCode = err.statusCode;
+      record.error = err.name === 'AbortError' ? 'Timed out' : err.message;
+      retryable = err.retryable !== false;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    publication.attempts.push(record);
+
+    if (!record.error) {
+      publication.status = 'published';
+      publication.publishedAt = record.at;
+      jobs.persist(jobId);
+      log.info('Version published', { jobId, versionKey, destination: destinationName });
+      emitJobEvent(jobId, 'version.published', versionKey);
+      return;
+    }
+
+    jobs.persist(jobId);
+
+    if (!retryable) break;
+    if (attempt < PUBLISH_MAX_ATTEMPTS) {
+      await new Promise(resolve => setTimeout(resolve, PUBLISH_RETRY_DELAY * Math.pow(2, attempt - 1)));
+    }
   }
 
-  return filters.join(',');
+  publication.status = 'failed';
+  publication.error = publication.attempts[publication.attempts.length - 1].error;
+  jobs.persist(jobId);
+  log.error('Publishing failed', { jobId, versionKey, destination: destinationName, error: publication.error });
+  emitJobEvent(jobId, 'version.publish_failed', versionKey);
 }
 
-function buildAudioFilterChain(preset) {
-  const filters = [];
+// ============================================
+// JOB RECOVERY
+// ============================================
 
-  // Audio pitch shift
-  if (preset.audioPitch !== 0) {
-    const semitones = preset.audioPitch;
-    filters.push(`asetrate=48000*2^(${semitones}/12),aresample=48000`);
-  }
+// Jobs loaded from the store that were still processing when the server stopped
+function recoverJobs() {
+  for (const [jobId, job] of jobs.entries()) {
+    // Uploads cut off by the restart are reported, not resumed
+    for (const version of Object.values(job.versions)) {
+      for (const publication of version.publications || []) {
+        if (publication.status === 'publishing') {
+          publication.status = 'failed';
+          publication.error = 'Server restarted during publishing';
+          jobs.persist(jobId);
+        }
+      }
+    }
 
-  // Audio normalization
-  filters.push('loudnorm=I=-16:TP=-1.5:LRA=11');
+    if (job.status !== 'queued' && job.status !== 'processing') continue;
 
-  return filters.join(',');
-}
+    const unfinishedKeys = Object.keys(job.versions).filter(key => 
+      job.versions[key].status !== 'completed'
+    );
+    const canRequeue = job.inputPath && fs.existsSync(job.inputPath) && job.presets;
 
-function formatBytes(bytes) {
-  if (bytes === 0) return '0 Bytes';
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+    if (JOB_RECOVERY === 'requeue' && canRequeue) {
+      unfinishedKeys.forEach(key => {
+        job.versions[key] = { status: 'pending', progress: 0, presetName: job.versions[key].presetName };
+      });
+      jobs.persist(jobId);
+      log.info('Requeued interrupted versions', { jobId, versions: unfinishedKeys });
+      processMultipleVersions(job.inputPath, jobId, unfinishedKeys);
+      continue;
+    }
+
+    unfinishedKeys.forEach(key => {
+      const version = job.versions[key];
+      if (['pending', 'queued', 'processing', 'packaging', 'analyzing'].includes(version.status)) {
+        version.status = 'interrupted';
+        version.error = 'Server restarted during processing';
+      }
+    });
+    job.status = 'interrupted';
+    job.error = 'Server restarted during processing';
+    job.finishedTime = Date.now();
+    jobs.persist(jobId);
+    log.warn('Marked job as interrupted', { jobId });
+  }
 }
 
 // ============================================
 // CLEANUP JOB
 // ============================================
 
-setInterval(() => {
+// Expired jobs and orphaned files go on every run. At startup nothing can be mid-upload,
+// so orphans left by the previous process are removed without a grace period.
+const lastCleanup = { at: null, jobs: 0, orphans: 0, freedBytes: 0 };
+
+async function runCleanup({ orphanGraceMs = ORPHAN_GRACE_MS } = {}) {
   const now = Date.now();
-  const CLEANUP_AGE = 60 * 60 * 1000; // 1 hour
-  
-  for (const [jobId, job] of jobs.entries()) {
-    if (job.completedTime && (now - job.completedTime > CLEANUP_AGE)) {
-      // Delete files
-      for (const version of Object.values(job.versions)) {
-        if (version.filename) {
-          const filePath = path.join('processed', 'videos', version.filename);
-          try {
-            if (fs.existsSync(filePath)) {
-              fs.unlinkSync(filePath);
-            }
-          } catch (err) {
-            console.error('Cleanup error:', err);
-          }
-        }
-      }
-      // Remove job from memory
-      jobs.delete(jobId);
-      console.log(`🗑️ Cleaned up job ${jobId}`);
+
+  const expired = await removeJobs(job => jobExpiresAt(job) <= now);
+  const orphans = await removeOrphans(orphanGraceMs);
+
+  // Expire abandoned and unused resumable uploads
+  for (const [uploadId, session] of uploadSessions.entries()) {
+    if (now - session.createdTime > UPLOAD_SESSION_TTL) {
+      removeUploadSession(uploadId);
+      log.info('Expired upload removed', { uploadId });
+    }
+  }
+
+  // Redeemed single-use links only matter until they would have expired anyway
+  for (const [nonce, link] of usedLinks.entries()) {
+    if (link.expiresAt < now) {
+      usedLinks.delete(nonce);
     }
   }
-}, 15 * 60 * 1000); // Run every 15 minutes
+
+  // Per-key usage is only read for the current day
+  for (const [usageId, usage] of keyUsage.entries()) {
+    if (usage.day < usageDay(now - 24 * 60 * 60 * 1000)) {
+      keyUsage.delete(usageId);
+    }
+  }
+
+  Object.assign(lastCleanup, {
+    at: new Date(now).toISOString(),
+    jobs: expired.jobIds.length,
+    orphans: orphans.files.length,
+    freedBytes: expired.bytes + orphans.bytes
+  });
+  if (lastCleanup.jobs > 0 || lastCleanup.orphans > 0) {
+    log.info('Storage cleanup finished', { ...lastCleanup });
+  }
+}
+
+function scheduleCleanup(options) {
+  runCleanup(options).catch(err => log.error('Storage cleanup failed', { error: err }));
+}
 
 // ============================================
 // ERROR HANDLING
 // ============================================
 
 app.use((err, req, res, next) => {
-  console.error('Error:', err);
+  log.error('Unhandled request error', { method: req.method, path: req.path, error: err, stack: err.stack });
   
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ error: 'File too large. Maximum size is 500MB.' });
+      return res.status(400).json({ error: `File too large. Maximum size is ${MAX_UPLOAD_SIZE_MB}MB.` });
     }
     return res.status(400).json({ error: err.message });
   }
@@ -658,15 +6329,49 @@ app.use((err, req, res, next) => {
 // START SERVER
 // ============================================
 
-app.listen(PORT, () => {
-  console.log('='.repeat(50));
-  console.log('🚀 Multi-Version Video Converter API');
-  console.log('='.repeat(50));
-  console.log(`📡 Server listening on port ${PORT}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`📁 Upload directory: ${path.resolve('uploads')}`);
-  console.log(`📁 Output directory: ${path.resolve('processed/videos')}`);
-  console.log('='.repeat(50));
-  console.log('✅ Ready to process videos!');
-  console.log('');
-});
+// Recovery, cleanup and the listener only run when started directly, so tests can
+// require the app and its graph builders
+async function startServer() {
+  recoverJobs();
+
+  // The zero-grace sweep finishes before requests are accepted, so it can't take
+  // an upload that no job refers to yet
+  await runCleanup({ orphanGraceMs: 0 }).catch(err => log.error('Storage cleanup failed', { error: err }));
+  setInterval(scheduleCleanup, CLEANUP_INTERVAL_MS);
+
+  app.listen(PORT, () => {
+    log.info('Multi-Version Video Converter API listening', {
+      port: Number(PORT),
+      environment: process.env.NODE_ENV || 'development',
+      logLevel: LOG_LEVEL,
+      jobStore: JOB_STORE,
+      apiKeys: apiKeys.size,
+      destinations: [...destinations.keys()],
+      uploadDirectory: path.resolve('uploads'),
+      outputDirectory: path.resolve('processed')
+    });
+    if (!AUTH_ENABLED) {
+      log.warn('No API keys configured, the API is open');
+    }
+  });
+}
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = {
+  app,
+  jobs,
+  VERSION_PRESETS,
+  buildFilterGraph,
+  buildAudioGraph,
+  buildAudioFilterChain,
+  buildAtempoChain,
+  downloadSourceUrl,
+  signAwsRequest,
+  publishVersion,
+  validateCallback,
+  buildCallback,
+  deliverWebhook
+};
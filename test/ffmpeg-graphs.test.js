@@ -0,0 +1,208 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The server creates its working directories relative to the cwd
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'converter-test-'));
+process.chdir(workDir);
+process.env.JOB_STORE = 'memory';
+
+const {
+  VERSION_PRESETS,
+  buildFilterGraph,
+  buildAudioGraph,
+  buildAudioFilterChain,
+  buildAtempoChain
+} = require('../server');
+
+after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const geometry = { filter: 'scale=1920:1080', width: 1920, height: 1080 };
+const LOUDNORM = 'loudnorm=I=-16:TP=-1.5:LRA=11';
+
+describe('buildFilterGraph presets', () => {
+  const expected = {
+    version1: '[0:v]scale=1920:1080,eq=saturation=1.1:brightness=0.02:contrast=1.05[vout];' +
+      `[0:a]aresample=48000,${LOUDNORM}[aout]`,
+    version2: '[0:v]scale=1920:1080,eq=saturation=1.25:brightness=0.05:contrast=1.1,' +
+      'colortemperature=temperature=6500:mix=0.3,setpts=PTS/0.85[vout];' +
+      `[0:a]aresample=48000,asetrate=42763,aresample=48000,atempo=0.954093,${LOUDNORM}[aout]`,
+    version3: '[0:v]scale=1920:1080,eq=saturation=0.9:brightness=-0.03:contrast=1.15,' +
+      'colortemperature=temperature=8500:mix=0.3,unsharp=5:5:1.2:5:5:0.0,setpts=PTS/1.15[vout];' +
+      `[0:a]aresample=48000,asetrate=53878,aresample=48000,atempo=1.024534,${LOUDNORM}[aout]`,
+    version4: '[0:v]scale=1920:1080,eq=saturation=1.4:brightness=0.08:contrast=1.2,' +
+      'vignette=angle=PI/4,setpts=PTS/0.9[vout];' +
+      `[0:a]aresample=48000,asetrate=45306,aresample=48000,atempo=0.953517,${LOUDNORM}[aout]`,
+    version5: '[0:v]scale=1920:1080,eq=saturation=1.05:brightness=0.01:contrast=1.08,' +
+      'gblur=sigma=0.3,setpts=PTS/1.05[vout];' +
+      `[0:a]aresample=48000,asetrate=50854,aresample=48000,atempo=0.991068,${LOUDNORM}[aout]`
+  };
+
+  it('covers every built-in preset', () => {
+    assert.deepStrictEqual(Object.keys(expected), Object.keys(VERSION_PRESETS));
+  });
+
+  for (const [versionKey, graph] of Object.entries(expected)) {
+    it(`builds the graph for ${versionKey}`, () => {
+      assert.deepStrictEqual(buildFilterGraph(VERSION_PRESETS[versionKey], geometry, { hasAudio: true }), {
+        graph,
+        outputs: ['vout', 'aout']
+      });
+    });
+  }
+
+  it('chains atempo for custom speeds beyond a single atempo step', () => {
+    assert.strictEqual(buildFilterGraph({ ...VERSION_PRESETS.version1, speed: 3 }, geometry, { hasAudio: true }).graph,
+      '[0:v]scale=1920:1080,eq=saturation=1.1:brightness=0.02:contrast=1.05,setpts=PTS/3[vout];' +
+      `[0:a]aresample=48000,atempo=2.0,atempo=1.5,${LOUDNORM}[aout]`);
+    assert.strictEqual(buildFilterGraph({ ...VERSION_PRESETS.version2, speed: 0.3 }, geometry, { hasAudio: true }).graph,
+      '[0:v]scale=1920:1080,eq=saturation=1.25:brightness=0.05:contrast=1.1,' +
+      'colortemperature=temperature=6500:mix=0.3,setpts=PTS/0.3[vout];' +
+      `[0:a]aresample=48000,asetrate=42763,aresample=48000,atempo=0.5,atempo=0.673477,${LOUDNORM}[aout]`);
+  });
+
+  it('leaves audio out for sources without it', () => {
+    assert.deepStrictEqual(buildFilterGraph(VERSION_PRESETS.version1, geometry, { hasAudio: false }), {
+      graph: '[0:v]scale=1920:1080,eq=saturation=1.1:brightness=0.02:contrast=1.05[vout]',
+      outputs: ['vout']
+    });
+  });
+});
+
+describe('buildFilterGraph cut', () => {
+  it('joins segments with concat before the preset', () => {
+    const cut = { segments: [{ start: 1, end: 3 }, { start: 5, end: 8 }] };
+    const { graph } = buildFilterGraph(VERSION_PRESETS.version4, geometry, { hasAudio: true, cut });
+
+    assert.strictEqual(graph, [
+      '[0:v]trim=start=1:end=3,setpts=PTS-STARTPTS[cutv0]',
+      '[0:a]atrim=start=1:end=3,asetpts=PTS-STARTPTS[cuta0]',
+      '[0:v]trim=start=5:end=8,setpts=PTS-STARTPTS[cutv1]',
+      '[0:a]atrim=start=5:end=8,asetpts=PTS-STARTPTS[cuta1]',
+      '[cutv0][cuta0][cutv1][cuta1]concat=n=2:v=1:a=1[cutv][cuta]',
+      '[cutv]scale=1920:1080,eq=saturation=1.4:brightness=0.08:contrast=1.2,vignette=angle=PI/4,setpts=PTS/0.9[vout]',
+      `[cuta]aresample=48000,asetrate=45306,aresample=48000,atempo=0.953517,${LOUDNORM}[aout]`
+    ].join(';'));
+  });
+
+  it('crossfades segments at their position in the joined output', () => {
+    const cut = { segments: [{ start: 0, end: 4 }, { start: 6, end: 10 }], crossfade: 0.5 };
+    const { graph } = buildFilterGraph(VERSION_PRESETS.version1, geometry, { hasAudio: true, cut });
+
+    assert.strictEqual(graph, [
+      '[0:v]trim=start=0:end=4,setpts=PTS-STARTPTS[cutv0]',
+      '[0:a]atrim=start=0:end=4,asetpts=PTS-STARTPTS[cuta0]',
+      '[0:v]trim=start=6:end=10,setpts=PTS-STARTPTS[cutv1]',
+      '[0:a]atrim=start=6:end=10,asetpts=PTS-STARTPTS[cuta1]',
+      '[cutv0][cutv1]xfade=transition=fade:duration=0.5:offset=3.500[fadev1]',
+      '[cuta0][cuta1]acrossfade=d=0.5[fadea1]',
+      '[fadev1]scale=1920:1080,eq=saturation=1.1:brightness=0.02:contrast=1.05[vout]',
+      `[fadea1]aresample=48000,${LOUDNORM}[aout]`
+    ].join(';'));
+  });
+});
+
+describe('buildFilterGraph intro and outro', () => {
+  it('concats the clips around the main part, with silence for a clip without audio', () => {
+    const { graph, outputs } = buildFilterGraph(VERSION_PRESETS.version5, geometry, {
+      hasAudio: true,
+      intro: { input: 1, duration: 2, hasAudio: true },
+      outro: { input: 2, duration: 1.5, hasAudio: false }
+    });
+
+    assert.deepStrictEqual(outputs, ['vout', 'aout']);
+    assert.strictEqual(graph, [
+      '[0:v]scale=1920:1080,eq=saturation=1.05:brightness=0.01:contrast=1.08,gblur=sigma=0.3,setpts=PTS/1.05[mainv]',
+      `[0:a]aresample=48000,asetrate=50854,aresample=48000,atempo=0.991068,${LOUDNORM}[mainmix]`,
+      '[1:v]scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2:black,setsar=1[introv]',
+      '[1:a]aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo[introa]',
+      '[mainmix]aresample=48000,aformat=sample_fmts=fltp:channel_layouts=stereo[maina]',
+      '[2:v]scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2:black,setsar=1[outrov]',
+      'anullsrc=r=48000:cl=stereo,atrim=0:1.500[outroa]',
+      '[introv][introa][mainv][maina][outrov][outroa]concat=n=3:v=1:a=1[vout][aout]'
+    ].join(';'));
+  });
+
+  it('shifts caption times back by the intro and drops captions that end during it', () => {
+    const caption = { font: 'Sans', size: 48, color: 'white', position: 'bottom', margin: 48, box: false };
+    const { graph } = buildFilterGraph(VERSION_PRESETS.version1, geometry, {
+      hasAudio: false,
+      intro: { input: 1, duration: 2, hasAudio: false },
+      overlays: {
+        text: [
+          { ...caption, text: 'shown', textFile: 'text1.txt', start: 3, end: 5 },
+          { ...caption, text: 'over', textFile: 'text2.txt', end: 1 }
+        ]
+      }
+    });
+
+    assert.strictEqual(graph, [
+      '[0:v]scale=1920:1080,eq=saturation=1.1:brightness=0.02:contrast=1.05[graded]',
+      '[graded]drawtext=textfile=text1.txt:expansion=none:font=Sans:fontsize=48:fontcolor=white:' +
+        'x=(w-text_w)/2:y=h-text_h-48:enable=\'gte(t,1)*lte(t,3)\'[mainv]',
+      '[1:v]scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2:black,setsar=1[introv]',
+      '[introv][mainv]concat=n=2:v=1:a=0[vout]'
+    ].join(';'));
+  });
+});
+
+describe('buildFilterGraph soundtrack', () => {
+  it('replaces the original audio with the trimmed track', () => {
+    const { graph } = buildFilterGraph(VERSION_PRESETS.version3, geometry, {
+      hasAudio: true,
+      soundtrack: { track: 'replace', level: 1, duration: 12.5, input: 1 }
+    });
+
+    assert.strictEqual(graph, [
+      '[0:v]scale=1920:1080,eq=saturation=0.9:brightness=-0.03:contrast=1.15,' +
+        'colortemperature=temperature=8500:mix=0.3,unsharp=5:5:1.2:5:5:0.0,setpts=PTS/1.15[vout]',
+      '[1:a]aresample=48000,volume=1,atrim=0:12.500,asetpts=PTS-STARTPTS[aout]'
+    ].join(';'));
+  });
+
+  it('mixes the track under the original at its level', () => {
+    const { graph } = buildFilterGraph(VERSION_PRESETS.version2, geometry, {
+      hasAudio: true,
+      soundtrack: { track: 'mix', level: 0.3, duration: 10, input: 1 }
+    });
+
+    assert.strictEqual(graph, [
+      '[0:v]scale=1920:1080,eq=saturation=1.25:brightness=0.05:contrast=1.1,' +
+        'colortemperature=temperature=6500:mix=0.3,setpts=PTS/0.85[vout]',
+      `[0:a]aresample=48000,asetrate=42763,aresample=48000,atempo=0.954093,${LOUDNORM}[original]`,
+      '[1:a]aresample=48000,volume=0.3,atrim=0:10.000,asetpts=PTS-STARTPTS[music]',
+      '[original][music]amix=inputs=2:duration=first:dropout_transition=0,volume=2[aout]'
+    ].join(';'));
+  });
+
+  it('drops the audio when muted', () => {
+    assert.deepStrictEqual(buildFilterGraph(VERSION_PRESETS.version1, geometry, { hasAudio: true, soundtrack: { track: 'mute' } }), {
+      graph: '[0:v]scale=1920:1080,eq=saturation=1.1:brightness=0.02:contrast=1.05[vout]',
+      outputs: ['vout']
+    });
+  });
+});
+
+describe('audio builders', () => {
+  it('builds the audio-only graph from the cut soundtrack', () => {
+    assert.deepStrictEqual(buildAudioGraph(VERSION_PRESETS.version3, { segments: [{ start: 2, end: 4 }] }), {
+      graph: '[0:a]atrim=start=2:end=4,asetpts=PTS-STARTPTS[cuta0];' +
+        `[cuta0]aresample=48000,asetrate=53878,aresample=48000,atempo=1.024534,${LOUDNORM}[aout]`,
+      outputs: ['aout']
+    });
+  });
+
+  it('shifts pitch with asetrate and corrects the tempo for the speed', () => {
+    assert.strictEqual(buildAudioFilterChain(VERSION_PRESETS.version1), `aresample=48000,${LOUDNORM}`);
+    assert.strictEqual(buildAudioFilterChain(VERSION_PRESETS.version2),
+      `aresample=48000,asetrate=42763,aresample=48000,atempo=0.954093,${LOUDNORM}`);
+  });
+
+  it('splits tempos outside atempo\'s 0.5-2.0 range into steps', () => {
+    assert.deepStrictEqual(buildAtempoChain(1.15), ['atempo=1.15']);
+    assert.deepStrictEqual(buildAtempoChain(0.4), ['atempo=0.5', 'atempo=0.8']);
+    assert.deepStrictEqual(buildAtempoChain(3), ['atempo=2.0', 'atempo=1.5']);
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// The server creates its working directories relative to the cwd
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'converter-test-'));
+process.chdir(workDir);
+process.env.JOB_STORE = 'memory';
+
+const { app, jobs } = require('../server');
+
+const video = Buffer.alloc(4096, 3);
+let listener;
+
+before(async () => {
+  fs.writeFileSync(path.join('processed', 'videos', 'clip_version1.mp4'), video);
+  jobs.set('job_links', {
+    status: 'completed',
+    versionCount: 1,
+    originalFilename: 'clip.mp4',
+    versions: { version1: { status: 'completed', filename: 'clip_version1.mp4' } }
+  });
+  await new Promise(resolve => { listener = app.listen(0, '127.0.0.1', resolve); });
+});
+
+after(() => {
+  listener.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// `from` picks the loopback address the request comes from, so two addresses
+// stand in for two clients
+function request(method, urlPath, { headers = {}, body, from = '127.0.0.1' } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port: listener.address().port,
+      localAddress: from,
+      method,
+      path: urlPath,
+      headers: body ? { ...headers, 'Content-Type': 'application/json' } : headers
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+async function singleUseLink() {
+  const response = await request('POST', '/api/job/job_links/links', { body: { versionKey: 'version1', singleUse: true } });
+  assert.strictEqual(response.status, 201);
+  const url = new URL(JSON.parse(response.body).url);
+  return url.pathname + url.search;
+}
+
+describe('single-use links', () => {
+  it('serve the client that redeemed them the rest of the file, but never the whole file again', async () => {
+    const link = await singleUseLink();
+
+    const first = await request('GET', link, { headers: { Range: 'bytes=0-1023' } });
+    assert.strictEqual(first.status, 206);
+    assert.strictEqual(first.body.length, 1024);
+
+    const rest = await request('GET', link, { headers: { Range: 'bytes=1024-' } });
+    assert.strictEqual(rest.status, 206);
+    assert.ok(rest.body.equals(video.subarray(1024)));
+
+    for (const range of [undefined, 'bytes=0-', 'bytes=-4096', 'bytes=1-10,0-0']) {
+      const again = await request('GET', link, { headers: range ? { Range: range } : {} });
+      assert.strictEqual(again.status, 410, `Range ${range}`);
+    }
+  });
+
+  it('refuse ranges from any other client once redeemed', async () => {
+    const link = await singleUseLink();
+
+    assert.strictEqual((await request('GET', link)).status, 200);
+    const other = await request('GET', link, { headers: { Range: 'bytes=1024-' }, from: '127.0.0.2' });
+    assert.strictEqual(other.status, 410);
+  });
+
+  it('are not redeemed by HEAD requests', async () => {
+    const link = await singleUseLink();
+
+    assert.strictEqual((await request('HEAD', link, { from: '127.0.0.2' })).status, 200);
+    assert.strictEqual((await request('GET', link)).status, 200);
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// The server creates its working directories relative to the cwd
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'converter-test-'));
+process.chdir(workDir);
+process.env.JOB_STORE = 'memory';
+process.env.SOURCE_URL_ALLOWED_HOSTS = '127.0.0.1';
+
+const { downloadSourceUrl } = require('../server');
+
+const video = Buffer.alloc(64 * 1024, 7);
+
+// Static files plus redirects, one of them to a host outside the allowlist
+const server = http.createServer((req, res) => {
+  const port = server.address().port;
+  const routes = {
+    '/media/clip.mp4': () => res.writeHead(200, { 'Content-Type': 'video/mp4' }).end(video),
+    // Chunked, so the size limit can only be enforced while streaming
+    '/media/chunked.mp4': () => {
+      res.writeHead(200, { 'Content-Type': 'video/mp4' });
+      res.write(video.subarray(0, 32 * 1024));
+      res.end(video.subarray(32 * 1024));
+    },
+    '/media/clip%E0.mp4': () => res.writeHead(200, { 'Content-Type': 'video/mp4' }).end(video),
+    '/page.html': () => res.writeHead(200, { 'Content-Type': 'text/html' }).end('<html></html>'),
+    '/moved': () => res.writeHead(302, { Location: '/media/clip.mp4' }).end(),
+    '/elsewhere': () => res.writeHead(302, { Location: `http://localhost:${port}/media/clip.mp4` }).end(),
+    '/loop': () => res.writeHead(302, { Location: '/loop' }).end()
+  };
+  (routes[req.url] || (() => res.writeHead(404).end()))();
+});
+let baseUrl;
+
+before(() => new Promise(resolve => {
+  server.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+
+after(() => {
+  server.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('downloadSourceUrl', () => {
+  it('downloads the file into uploads/ under its remote name', async () => {
+    const { inputPath, originalFilename } = await downloadSourceUrl(`${baseUrl}/media/clip.mp4`);
+
+    assert.strictEqual(originalFilename, 'clip.mp4');
+    assert.strictEqual(path.dirname(inputPath), 'uploads');
+    assert.ok(fs.readFileSync(inputPath).equals(video));
+  });
+
+  it('keeps the raw name when it has a malformed escape', async () => {
+    const { inputPath, originalFilename } = await downloadSourceUrl(`${baseUrl}/media/clip%E0.mp4`);
+
+    assert.strictEqual(originalFilename, 'clip%E0.mp4');
+    assert.strictEqual(path.extname(inputPath), '.mp4');
+  });
+
+  it('follows redirects on allowed hosts and names the file after the final URL', async () => {
+    const { originalFilename } = await downloadSourceUrl(`${baseUrl}/moved`);
+    assert.strictEqual(originalFilename, 'clip.mp4');
+  });
+
+  it('checks every redirect against the allowlist', async () => {
+    await assert.rejects(downloadSourceUrl(`${baseUrl}/elsewhere`), {
+      status: 403,
+      message: 'Host localhost is not in the source URL allowlist'
+    });
+    await assert.rejects(downloadSourceUrl(`${baseUrl}/loop`), { status: 502, message: 'Too many redirects fetching sourceUrl' });
+  });
+
+  it('rejects files that are not media, missing or too large', async () => {
+    await assert.rejects(downloadSourceUrl(`${baseUrl}/page.html`), { status: 415 });
+    await assert.rejects(downloadSourceUrl(`${baseUrl}/missing.mp4`), {
+      status: 502,
+      message: 'Fetching sourceUrl failed with HTTP 404'
+    });
+    await assert.rejects(downloadSourceUrl(`${baseUrl}/media/clip.mp4`, 1024), { status: 413 });
+  });
+
+  it('stops a download that outgrows the limit and leaves no partial file', async () => {
+    const before = fs.readdirSync('uploads').length;
+    await assert.rejects(downloadSourceUrl(`${baseUrl}/media/chunked.mp4`, 40 * 1024), { status: 413 });
+    assert.strictEqual(fs.readdirSync('uploads').length, before);
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// The server creates its working directories relative to the cwd
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'converter-test-'));
+process.chdir(workDir);
+process.env.JOB_STORE = 'memory';
+process.env.CALLBACK_URL_ALLOWED_HOSTS = '127.0.0.1';
+process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+process.env.WEBHOOK_RETRY_DELAY_MS = '10';
+
+const { jobs, validateCallback, buildCallback, deliverWebhook } = require('../server');
+
+// Records every request; /redirect answers with a redirect to /landing
+const received = [];
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ url: req.url, headers: req.headers, body });
+    if (req.url === '/redirect') {
+      res.writeHead(307, { Location: '/landing' });
+    }
+    res.end();
+  });
+});
+let baseUrl;
+
+before(() => new Promise(resolve => {
+  receiver.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${receiver.address().port}`;
+    resolve();
+  });
+}));
+
+after(() => {
+  receiver.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+const SECRET = 'webhook-secret-for-tests';
+
+function expectedSignature(request) {
+  const timestamp = request.headers['x-webhook-timestamp'];
+  return `sha256=${crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex')}`;
+}
+
+function createJob(jobId, callback) {
+  jobs.set(jobId, { status: 'completed', versions: {}, callback });
+  return jobs.get(jobId);
+}
+
+describe('validateCallback', () => {
+  it('only accepts hosts on the allowlist', () => {
+    assert.strictEqual(validateCallback('http://127.0.0.1:9/hook'), null);
+    assert.strictEqual(validateCallback('http://169.254.169.254/latest/meta-data'),
+      'Host 169.254.169.254 is not in the callback URL allowlist');
+    assert.strictEqual(validateCallback('http://localhost/hook'), 'Host localhost is not in the callback URL allowlist');
+  });
+
+  it('rejects other protocols and non-string secrets', () => {
+    assert.strictEqual(validateCallback('file:///etc/passwd'), 'callbackUrl must use http or https');
+    assert.strictEqual(validateCallback('http://127.0.0.1/hook', 42), 'callbackSecret must be a string');
+  });
+});
+
+describe('deliverWebhook', () => {
+  it('signs the payload without keeping the secret on the job in plain text', async () => {
+    const job = createJob('job_signed', buildCallback({ callbackUrl: `${baseUrl}/signed`, callbackSecret: SECRET }));
+    await deliverWebhook('job_signed', 'job.completed');
+
+    const request = received.find(entry => entry.url === '/signed');
+    assert.strictEqual(request.headers['x-webhook-signature'], expectedSignature(request));
+    assert.strictEqual(JSON.parse(request.body).event, 'job.completed');
+    assert.strictEqual(job.webhookDeliveries[0].status, 'delivered');
+    assert.ok(!JSON.stringify(job).includes(SECRET));
+  });
+
+  it('does not follow redirects', async () => {
+    const job = createJob('job_redirect', buildCallback({ callbackUrl: `${baseUrl}/redirect` }));
+    await deliverWebhook('job_redirect', 'job.completed');
+
+    assert.strictEqual(received.filter(entry => entry.url === '/redirect').length, 2);
+    assert.ok(!received.some(entry => entry.url === '/landing'));
+    assert.strictEqual(job.webhookDeliveries[0].status, 'failed');
+    assert.strictEqual(job.webhookDeliveries[0].attempts[0].error, 'HTTP 307');
+  });
+
+  it('still signs for a job loaded back from the store after a restart', async () => {
+    const callback = JSON.parse(JSON.stringify(buildCallback({ callbackUrl: `${baseUrl}/restored`, callbackSecret: SECRET })));
+    const job = createJob('job_restored', callback);
+    await deliverWebhook('job_restored', 'job.completed');
+
+    const request = received.find(entry => entry.url === '/restored');
+    assert.strictEqual(request.headers['x-webhook-signature'], expectedSignature(request));
+    assert.strictEqual(job.webhookDeliveries[0].status, 'delivered');
+  });
+
+  it('reports a secret that can no longer be decrypted instead of sending unsigned', async () => {
+    const callback = buildCallback({ callbackUrl: `${baseUrl}/undecryptable`, callbackSecret: SECRET });
+    // Flip the first character of the ciphertext so the auth tag no longer matches
+    const [iv, tag, encrypted] = callback.encryptedSecret.split('.');
+    callback.encryptedSecret = [iv, tag, (encrypted[0] === 'A' ? 'B' : 'A') + encrypted.slice(1)].join('.');
+    const job = createJob('job_undecryptable', callback);
+    await deliverWebhook('job_undecryptable', 'job.completed');
+
+    assert.ok(!received.some(entry => entry.url === '/undecryptable'));
+    assert.strictEqual(job.webhookDeliveries[0].status, 'failed');
+    assert.match(job.webhookDeliveries[0].error, /could not be decrypted/);
+  });
+});